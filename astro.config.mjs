@@ -1,10 +1,39 @@
 import { defineConfig } from 'astro/config';
 import starlight from '@astrojs/starlight';
+import sitemap from '@astrojs/sitemap';
+import sidebar, { hiddenPages } from './src/generated/sidebar.mjs';
+import rehypeBasePath from './src/plugins/rehype-base-path.mjs';
+import { stripBasePath } from './scripts/links.js';
+import { BASE_PATH, SITE_URL } from './site.config.mjs';
+
+/**
+ * Starlight adds the base path to `slug` items but not to `link` items,
+ * so prefix root-relative links (pages with an anchor) here
+ */
+function withBasePath(items) {
+  return items?.map((item) => ({
+    ...item,
+    ...(item.link?.startsWith('/') && { link: BASE_PATH + item.link }),
+    ...(item.items && { items: withBasePath(item.items) }),
+  }));
+}
+
+/**
+ * Hidden GitBook pages are noindex, so keep them out of the sitemap too
+ */
+function isListedPage(page) {
+  const slug = stripBasePath(new URL(page).pathname).replace(/^\/+|\/+$/g, '');
+  return !hiddenPages.includes(slug);
+}
 
 export default defineConfig({
-  site: 'https://vibe-and-pray.github.io',
-  base: '/vectary-docs-site',
+  site: SITE_URL,
+  base: BASE_PATH || '/',
   trailingSlash: 'never',
+  markdown: {
+    // Converted pages use root-relative URLs, the base path is added here
+    rehypePlugins: [[rehypeBasePath, { base: BASE_PATH }]],
+  },
   integrations: [
     starlight({
       title: 'Vectary Docs',
@@ -15,128 +44,16 @@ export default defineConfig({
       customCss: [
         './src/styles/custom.css',
       ],
-      sidebar: [
-        {
-          label: 'Welcome to Vectary Docs',
-          link: '/',
-        },
-        {
-          label: 'Getting Started',
-          collapsed: true,
-          autogenerate: { directory: 'documentation/getting-started' },
-        },
-        {
-          label: 'Importing',
-          collapsed: true,
-          autogenerate: { directory: 'documentation/importing' },
-        },
-        {
-          label: 'Design Process',
-          collapsed: true,
-          items: [
-            {
-              label: 'Design mode',
-              collapsed: true,
-              items: [
-                { slug: 'documentation/design-process/design-mode', label: 'Overview' },
-                { slug: 'documentation/design-process/design-mode/selections-tools' },
-                { slug: 'documentation/design-process/design-mode/primitives' },
-                { slug: 'documentation/design-process/design-mode/3d-text' },
-                { slug: 'documentation/design-process/design-mode/light-sources' },
-                {
-                  label: 'Modifiers',
-                  collapsed: true,
-                  autogenerate: { directory: 'documentation/design-process/design-mode/modifiers' },
-                },
-                {
-                  label: 'Deformers',
-                  collapsed: true,
-                  autogenerate: { directory: 'documentation/design-process/design-mode/deformers' },
-                },
-                { slug: 'documentation/design-process/design-mode/interactive-elements' },
-                {
-                  label: 'Setup',
-                  collapsed: true,
-                  autogenerate: { directory: 'documentation/design-process/design-mode/setup' },
-                },
-              ],
-            },
-            {
-              label: 'Materials and textures',
-              collapsed: true,
-              items: [
-                { slug: 'documentation/design-process/materials-and-textures', label: 'Overview' },
-                {
-                  label: 'Basic materials',
-                  collapsed: true,
-                  autogenerate: { directory: 'documentation/design-process/materials-and-textures/basic-materials' },
-                },
-                {
-                  label: 'Advanced materials',
-                  collapsed: true,
-                  autogenerate: { directory: 'documentation/design-process/materials-and-textures/advanced-materials' },
-                },
-                {
-                  label: 'Baked textures',
-                  collapsed: true,
-                  autogenerate: { directory: 'documentation/design-process/materials-and-textures/baked-textures' },
-                },
-                { slug: 'documentation/design-process/materials-and-textures/importing-own-textures' },
-              ],
-            },
-            { slug: 'documentation/design-process/animated-materials' },
-            { slug: 'documentation/design-process/decals' },
-            { slug: 'documentation/design-process/camera' },
-            { slug: 'documentation/design-process/environment' },
-            { slug: 'documentation/design-process/background' },
-            { slug: 'documentation/design-process/ground-plane' },
-            { label: 'Effects', collapsed: true, autogenerate: { directory: 'documentation/design-process/effects' } },
-            { label: 'Control bar', collapsed: true, autogenerate: { directory: 'documentation/design-process/control-bar' } },
-            { label: 'Libraries', collapsed: true, autogenerate: { directory: 'documentation/design-process/libraries' } },
-            { label: 'Edit mode', collapsed: true, autogenerate: { directory: 'documentation/design-process/edit-mode' } },
-          ],
-        },
-        {
-          label: '3D Configurator',
-          collapsed: true,
-          autogenerate: { directory: 'documentation/3d-configurator' },
-        },
-        {
-          label: 'Sharing & Exporting',
-          collapsed: true,
-          autogenerate: { directory: 'documentation/sharing-exporting-embedding' },
-        },
-        {
-          label: 'Project Settings',
-          collapsed: true,
-          autogenerate: { directory: 'documentation/project-settings' },
-        },
-        {
-          label: 'Other',
-          collapsed: true,
-          autogenerate: { directory: 'documentation/other' },
-        },
-        {
-          label: 'Model API',
-          collapsed: true,
-          autogenerate: { directory: 'api/model-api' },
-        },
-        {
-          label: 'Tutorials',
-          collapsed: true,
-          autogenerate: { directory: 'tutorials' },
-        },
-        {
-          label: 'Showcases',
-          collapsed: true,
-          autogenerate: { directory: 'showcases' },
-        },
-        {
-          label: 'Changelog',
-          collapsed: true,
-          autogenerate: { directory: 'changelog' },
-        },
-      ],
+      components: {
+        // Hides the title and widens the page as set in GitBook's page layout
+        PageTitle: './src/components/PageTitle.astro',
+        // Shows the GitBook page icons in the sidebar
+        Sidebar: './src/components/Sidebar.astro',
+      },
+      // Generated from GitBook's SUMMARY.md by `npm run convert`
+      sidebar: withBasePath(sidebar),
     }),
+    // Replaces the sitemap Starlight adds on its own
+    sitemap({ filter: isListedPage }),
   ],
 });
@@ -0,0 +1,41 @@
+/**
+ * GitBook converter configuration (see scripts/convert.js)
+ *
+ * Paths are relative to the repository root. --source, --out and --only
+ * override sourceDir, outputDir and which pages are converted.
+ */
+
+import { BASE_PATH } from './site.config.mjs';
+
+/** @type {import('./scripts/processor.js').ProcessConfig} */
+export default {
+  sourceDir: process.env.SOURCE_DIR || '../vectary-docs',
+  outputDir: './src/content/docs',
+  assetsSourceDir: '.gitbook/assets',
+  assetsOutputDir: './public/assets/gitbook',
+  // Raster images are imported from here, so Astro optimizes them
+  imagesOutputDir: './src/assets/gitbook',
+  excludeDirs: ['model-api-new', '.git', 'node_modules'],
+  excludeFiles: ['SUMMARY.md'],
+  // Sidebar module generated from SUMMARY.md, imported by astro.config.mjs
+  sidebarOutput: './src/generated/sidebar.mjs',
+  // Pages that don't compile as MDX are written here instead, so the site still builds
+  quarantineDir: './.quarantine',
+  // Skip root README.md - we have a custom index.mdx for the homepage
+  skipRootReadme: true,
+  // Absolute links to the site written with its base path are made root-relative
+  basePath: BASE_PATH,
+
+  // Local copies of the repositories GitHub code block embeds
+  // ({% @github-files/github-code-block url="..." %}) show, by "owner/repo".
+  // Files are never fetched; a copy in githubCacheDir (<owner>/<repo>/<ref>/<path>) wins.
+  githubRepos: {
+    // 'vectary/viewer-api': '../viewer-api',
+  },
+  githubCacheDir: './.cache/github-files',
+
+  // Converters for our own GitBook tags, tried before the built-in ones
+  // (or after them with position: 'after'), see "Custom Converters" in the README:
+  //   { tag: 'badge', convert: (node, ctx) => `<span class="badge">${node.attributes.text}</span>` }
+  converters: [],
+};
@@ -0,0 +1,15 @@
+/**
+ * Expressive Code configuration, picked up by Starlight
+ * (https://starlight.astro.build/reference/configuration/#expressivecode)
+ */
+
+import { pluginLineNumbers } from '@expressive-code/plugin-line-numbers';
+
+/** @type {import('@astrojs/starlight/expressive-code').StarlightExpressiveCodeOptions} */
+export default {
+  plugins: [pluginLineNumbers()],
+  defaultProps: {
+    // Only code blocks GitBook numbered ({% code lineNumbers="true" %}) get `showLineNumbers`
+    showLineNumbers: false,
+  },
+};
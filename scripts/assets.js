@@ -0,0 +1,157 @@
+/**
+ * Asset Sync
+ * Copies only the files from .gitbook/assets that converted pages use, and
+ * reports references to missing files and assets nothing uses.
+ * Images that pages import (see createImage in convert.js) go to src/ so
+ * Astro optimizes them; everything else is served from public/.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Public URL of a file in .gitbook/assets, by its path inside that folder
+ * ("guides/image (1).png" → "/assets/gitbook/guides/image%20%281%29.png").
+ * Every segment is percent-encoded, so the URL is safe in markdown links,
+ * HTML attributes and CSS url('...') alike.
+ */
+export function assetUrl(assetPath) {
+  const encoded = assetPath.split('/').map((segment) =>
+    encodeURIComponent(segment).replace(/[()'*!]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`));
+
+  return `/assets/gitbook/${encoded.join('/')}`;
+}
+
+/**
+ * Copy referenced assets to the output directories and remove the ones no page uses anymore.
+ * Files are only copied when new or changed, so this is cheap to run after every watch update.
+ *
+ * @param {Map<string, {sourcePath: string, assets: Array<{path: string, line: number, optimized: boolean}>}>} pages -
+ *   Converted pages keyed by slug
+ * @param {string} sourceDir - The .gitbook/assets directory
+ * @param {string} outputDir - Where assets are served from (public/assets/gitbook)
+ * @param {string} imagesDir - Where imported images go (src/assets/gitbook)
+ * @param {object} output - Output writer (see output.js)
+ * @param {object} [options]
+ * @param {boolean} [options.prune=true] - Remove assets no page uses and report unused ones.
+ *   Off when only some pages were converted, since the others still use their assets.
+ * @returns {{ copied: number, used: number, missing: Array<{sourcePath: string, line: number, path: string}>,
+ *   collisions: string[][], unused: string[] }}
+ */
+export function syncAssets(pages, sourceDir, outputDir, imagesDir, output, { prune = true } = {}) {
+  const available = new Set(fs.existsSync(sourceDir) ? listFiles(sourceDir) : []);
+
+  const used = new Set();
+  const served = new Set();
+  const imported = new Set();
+  const missing = [];
+
+  for (const page of pages.values()) {
+    for (const asset of page.assets) {
+      if (available.has(asset.path)) {
+        used.add(asset.path);
+        (asset.optimized ? imported : served).add(asset.path);
+      } else {
+        missing.push({ sourcePath: page.sourcePath, line: asset.line, path: asset.path });
+      }
+    }
+  }
+
+  // Names that only differ in case overwrite each other on macOS and Windows
+  const byLowerCase = new Map();
+  for (const assetPath of used) {
+    const key = assetPath.toLowerCase();
+    byLowerCase.set(key, [...(byLowerCase.get(key) || []), assetPath]);
+  }
+  const collisions = [...byLowerCase.values()].filter((paths) => paths.length > 1);
+
+  const copied = copyFiles(served, sourceDir, outputDir, output, prune) +
+                 copyFiles(imported, sourceDir, imagesDir, output, prune);
+  const unused = prune ? [...available].filter((file) => !used.has(file)).sort() : [];
+
+  return { copied, used: used.size, missing, collisions, unused };
+}
+
+/**
+ * Mirror a set of files into a directory: copy new or changed ones and (with prune) remove the rest
+ *
+ * @returns {number} Number of files copied
+ */
+function copyFiles(files, sourceDir, outputDir, output, prune) {
+  // Remove assets that are no longer used (or no longer exist)
+  for (const file of prune && fs.existsSync(outputDir) ? listFiles(outputDir) : []) {
+    if (!files.has(file)) {
+      output.remove(path.join(outputDir, file));
+    }
+  }
+
+  let copied = 0;
+  for (const file of files) {
+    if (output.copy(path.join(sourceDir, file), path.join(outputDir, file))) {
+      copied++;
+    }
+  }
+
+  return copied;
+}
+
+/**
+ * List the files in a directory recursively, as paths with forward slashes
+ */
+export function listFiles(dir, relativePath = '') {
+  const files = [];
+
+  for (const entry of fs.readdirSync(path.join(dir, relativePath), { withFileTypes: true })) {
+    const entryRelPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      files.push(...listFiles(dir, entryRelPath));
+    } else if (entry.isFile()) {
+      files.push(entryRelPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Print missing assets grouped by source file, with source line numbers,
+ * case collisions and unused assets
+ */
+export function printAssetReport({ copied, used, missing, collisions, unused }) {
+  console.log(`📦 Assets: ${used} used, ${copied} copied`);
+
+  if (missing.length > 0) {
+    const byFile = new Map();
+    for (const asset of missing) {
+      if (!byFile.has(asset.sourcePath)) byFile.set(asset.sourcePath, []);
+      byFile.get(asset.sourcePath).push(asset);
+    }
+
+    console.log(`\n❌ ${missing.length} missing asset(s) in ${byFile.size} file(s)\n`);
+
+    for (const [sourcePath, assets] of [...byFile].sort(([a], [b]) => a.localeCompare(b))) {
+      console.log(`   ${sourcePath}`);
+      for (const asset of assets.sort((a, b) => a.line - b.line)) {
+        console.log(`     ${String(asset.line).padStart(4)}  ${asset.path}`);
+      }
+      console.log('');
+    }
+  }
+
+  if (collisions.length > 0) {
+    console.log(`\n❌ ${collisions.length} asset name(s) differ only in case and collide on case-insensitive file systems:\n`);
+    for (const paths of collisions) {
+      console.log(`     ${paths.join('  ↔  ')}`);
+    }
+    console.log('');
+  }
+
+  if (unused.length > 0) {
+    console.log(`\n⚠️  ${unused.length} unused asset(s) in .gitbook/assets, not copied:\n`);
+    for (const file of unused) {
+      console.log(`     ${file}`);
+    }
+    console.log('');
+  }
+}
@@ -0,0 +1,1815 @@
+/**
+ * GitBook to Starlight MDX Converter
+ * Converts GitBook-specific markdown syntax to standard MDX components
+ *
+ * Each page is parsed into a markdown syntax tree (see gitbook-parser.js) and
+ * rendered back to MDX node by node. Converters only rewrite the nodes they
+ * target; everything else, including code blocks, is copied from the source
+ * byte-for-byte.
+ *
+ * This module has no side effects: convertFile() converts one page, and the
+ * individual converters are exported for tests and other tools. Converting a
+ * whole directory is done by processor.js, and scripts/convert.js is the CLI.
+ */
+
+import path from 'path';
+import { toString } from 'mdast-util-to-string';
+import GithubSlugger, { slug } from 'github-slugger';
+import { visit } from 'unist-util-visit';
+import { location } from 'vfile-location';
+import { diffArrays } from 'diff';
+import yaml from 'js-yaml';
+import { GitBookSyntaxError, parseGitBook } from './gitbook-parser.js';
+import { slugFromPath } from './sidebar.js';
+import { stripBasePath } from './links.js';
+import { assetUrl } from './assets.js';
+import { starlightIcon } from './icons.js';
+import { parseVideoUrl } from './video.js';
+import { parseGitHubFileUrl } from './github-files.js';
+
+export { GitBookSyntaxError, parseGitBook } from './gitbook-parser.js';
+
+// Image formats Astro's image service optimizes (SVG and GIF are served as is)
+const OPTIMIZED_IMAGE_REGEX = /\.(png|jpe?g|webp|avif|tiff?)$/i;
+
+// Where optimized images are copied (src/assets/gitbook), relative to the content directory
+const DEFAULT_IMAGES_DIR = '../../assets/gitbook';
+
+/**
+ * @typedef {object} ConvertOptions
+ * @property {Map<string, Map<string, string>>} [anchorMaps] - GitBook anchors of each page (by slug),
+ *   mapped to the Starlight heading anchors they end up under (see scanPage)
+ * @property {Set<string>} [assets] - Files in .gitbook/assets; images that don't exist aren't imported.
+ *   When omitted, every image is assumed to exist.
+ * @property {string} [imagesDir] - Where optimized images are copied, relative to the content directory
+ * @property {string} [basePath] - Base path the site is served from; absolute links written with it are made
+ *   root-relative. Defaults to the site's (see site.config.mjs).
+ * @property {CustomConverter[]} [converters] - Converters for custom tags, or to override built-in ones
+ * @property {(file: import('./github-files.js').GitHubFile) => string|null} [readGitHubFile] - Local copy
+ *   of a file shown by a GitHub code block embed (see createGitHubFileReader). Without it, those embeds
+ *   become links.
+ */
+
+/**
+ * @typedef {object} CustomConverter
+ * @property {string} tag - GitBook tag name: handles {% name %} ... {% endname %} blocks and standalone {% name %} tags
+ * @property {(node: object, ctx: ConvertContext) => string|undefined} convert - Returns MDX for the node
+ *   (a gitbookBlock or gitbookTag), or undefined to leave it to the next converter
+ * @property {'before'|'after'} [position] - Run before the built-in converter of the tag (default),
+ *   or after it, for nodes it leaves as is
+ */
+
+/**
+ * @typedef {object} ConvertResult
+ * @property {string} content - The MDX page
+ * @property {boolean} hidden - Whether GitBook hides the page from the table of contents
+ * @property {Set<string>} anchors - Heading anchors Starlight will generate
+ * @property {Array<{href: string, line: number}>} links - Internal links, with source lines, for the link check
+ * @property {Array<{path: string, line: number, optimized: boolean}>} assets - Files used from .gitbook/assets
+ * @property {number[]} lineMap - Source line of each line of content (lineMap[0] is line 1), see buildLineMap
+ * @property {Array<{line: number, message: string}>} warnings - Things that convert with losses (unknown icons, ...)
+ */
+
+/**
+ * @typedef {object} ConvertContext
+ * State converters share while rendering one page (see createContext)
+ * @property {string} source - Page body the syntax tree positions point into
+ * @property {object} place - Offset ↔ line/column lookup for source
+ * @property {number} lineOffset - Lines before the body (frontmatter), added to reported line numbers
+ * @property {string} filePath - Path relative to the source root
+ * @property {Set<string>} components - Components the page uses, imported by addImports
+ * @property {Set<string>} imports - Other import statements the page needs (for custom converters' components)
+ * @property {Array<{href: string, line: number}>} links - Internal links found so far
+ * @property {Array<{path: string, line: number, optimized: boolean}>} assets - Assets found so far
+ * @property {Array<{line: number, message: string}>} warnings - Warnings found so far, with source lines
+ * @property {Map<string, string>} images - Imported images: asset path → import name
+ * @property {(assetPath: string) => boolean} assetExists
+ * @property {(url: string, anchor?: string) => string} resolveUrl - See createUrlResolver
+ * @property {object} converters - Tag converters, see createConverterRegistry
+ * @property {(file: object) => string|null} readGitHubFile - See ConvertOptions
+ */
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render a node to MDX using its converter, falling back to the original source
+ */
+export function render(node, ctx) {
+  const converter = NODE_CONVERTERS[node.type];
+  const converted = converter ? converter(node, ctx) : undefined;
+  return converted ?? renderSource(node, ctx);
+}
+
+/**
+ * Copy the source of a node (or a range inside it), rendering its children in place
+ */
+export function renderSource(node, ctx, start = node.position.start.offset, end = node.position.end.offset) {
+  if (!node.children) return ctx.source.slice(start, end);
+
+  let result = '';
+  let cursor = start;
+
+  for (const child of node.children) {
+    const childStart = child.position.start.offset;
+    const childEnd = child.position.end.offset;
+    if (childStart < start || childEnd > end) continue;
+
+    result += ctx.source.slice(cursor, childStart) + render(child, ctx);
+    cursor = childEnd;
+  }
+
+  return result + ctx.source.slice(cursor, end);
+}
+
+/**
+ * Render the children of a node (or a subset of them), without the surrounding syntax
+ */
+export function renderChildren(node, ctx, children = node.children) {
+  if (children.length === 0) return '';
+
+  const start = children[0].position.start.offset;
+  const end = children[children.length - 1].position.end.offset;
+  return renderSource(node, ctx, start, end);
+}
+
+/**
+ * Get the prefix new lines need to stay inside the node's container
+ * (list item indentation or blockquote markers)
+ */
+function lineIndent(node, ctx) {
+  const start = node.position.start.offset;
+  const lineStart = ctx.source.lastIndexOf('\n', start - 1) + 1;
+  return ctx.source.slice(lineStart, start).replace(/[^\s>]/g, ' ');
+}
+
+/**
+ * Wrap rendered content in an opening and closing JSX tag
+ */
+function wrapBlock(openTag, body, closeTag, indent) {
+  if (!body) return `${openTag}\n${indent}${closeTag}`;
+  return `${openTag}\n${indent}${body}\n${indent}${closeTag}`;
+}
+
+function isBlock(node, name) {
+  return node.type === 'gitbookBlock' && node.name === name;
+}
+
+/**
+ * Record an internal link for the link check, with its line in the source file.
+ * The line is where `rawHref` appears inside the node, or the node's first line.
+ */
+function recordLink(ctx, node, href, rawHref) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(href)) return;
+
+  ctx.links.push({ href, line: sourceLine(ctx, node, rawHref) });
+}
+
+/**
+ * Record a reference to a file in .gitbook/assets, so only used assets are
+ * copied and missing ones are reported with their line in the source file
+ */
+function recordAsset(ctx, node, assetPath, rawPath, optimized = false) {
+  ctx.assets.push({ path: assetPath, line: sourceLine(ctx, node, rawPath), optimized });
+}
+
+/**
+ * Line in the source file where `raw` appears inside the node, or the node's first line
+ */
+function sourceLine(ctx, node, raw) {
+  const start = node.position.start.offset;
+  const index = raw ? ctx.source.indexOf(raw, start) : -1;
+  const offset = index !== -1 && index < node.position.end.offset ? index : start;
+
+  return ctx.place.toPoint(offset).line + ctx.lineOffset;
+}
+
+// ============================================================================
+// CONVERTERS
+// ============================================================================
+
+/**
+ * Convert {% hint style="..." %} to Starlight <Aside>
+ */
+export function convertHints(node, ctx) {
+  // Map GitBook hint styles to Starlight Aside types
+  const styleMap = {
+    'success': 'tip',
+    'info': 'note',
+    'warning': 'caution',
+    'danger': 'danger',
+  };
+
+  const asideType = styleMap[node.attributes.style] || 'note';
+  const indent = lineIndent(node, ctx);
+
+  // Extract title if present (#### Title format)
+  let children = node.children;
+  let title = '';
+  const [firstChild] = children;
+
+  if (firstChild?.type === 'heading' && firstChild.depth === 4) {
+    // Escape quotes in title for JSX attribute
+    const escapedTitle = toString(firstChild).trim().replace(/"/g, '&quot;');
+    title = ` title="${escapedTitle}"`;
+    children = children.slice(1);
+  }
+
+  ctx.components.add('Aside');
+  return wrapBlock(`<Aside type="${asideType}"${title}>`, renderChildren(node, ctx, children), '</Aside>', indent);
+}
+
+/**
+ * Convert {% tabs %} {% tab title="..." %} to Starlight <Tabs><TabItem>
+ */
+export function convertTabs(node, ctx) {
+  const indent = lineIndent(node, ctx);
+  const tabs = node.children.filter((child) => isBlock(child, 'tab'));
+
+  if (tabs.length === 0) return undefined;
+
+  const tabItems = tabs.map(tab =>
+    wrapBlock(`<TabItem label="${escapeJsxAttribute(tab.attributes.title ?? '')}">`, renderChildren(tab, ctx), '</TabItem>', indent)
+  ).join(`\n${indent}`);
+
+  ctx.components.add('Tabs');
+  return wrapBlock('<Tabs>', tabItems, '</Tabs>', indent);
+}
+
+/**
+ * Convert {% stepper %} {% step %} to Starlight <Steps>
+ * Each step becomes an item of the ordered list that <Steps> wraps. The step
+ * body is indented under its number, so paragraphs, images and code blocks
+ * stay inside the step, and a leading heading stays as the step title.
+ */
+export function convertStepper(node, ctx) {
+  const indent = lineIndent(node, ctx);
+  const steps = node.children.filter((child) => isBlock(child, 'step'));
+
+  if (steps.length === 0) return undefined;
+
+  const stepItems = steps.map((step, index) => {
+    const marker = `${index + 1}. `;
+    const body = renderChildren(step, ctx);
+    return marker + indentLines(body, indent, ' '.repeat(marker.length));
+  }).join(`\n\n${indent}`);
+
+  ctx.components.add('Steps');
+  return `<Steps>\n\n${indent}${stepItems}\n\n${indent}</Steps>`;
+}
+
+/**
+ * Indent every line after the first by `extra`, after the container prefix
+ * the line already has. Blank lines stay empty.
+ */
+function indentLines(text, containerIndent, extra) {
+  return text.split('\n').map((line, index) => {
+    if (index === 0) return line;
+    if (line.trim() === '') return '';
+    const content = line.startsWith(containerIndent) ? line.slice(containerIndent.length) : line;
+    return containerIndent + extra + content;
+  }).join('\n');
+}
+
+/**
+ * Convert {% file src="..." %} to download link
+ */
+export function convertFileRefs(node, ctx) {
+  const src = node.attributes.src;
+  if (!src) return undefined;
+
+  const filename = path.posix.basename(decodeAssetPath(src));
+  // Convert .gitbook/assets path to proper path
+  const cleanSrc = fixAssetPath(src, ctx, node);
+  const link = `[Download ${filename}](${cleanSrc})`;
+
+  // {% file %} ... {% endfile %} carries a caption
+  const caption = node.type === 'gitbookBlock' ? renderChildren(node, ctx) : '';
+  return caption ? `${link}\n\n${lineIndent(node, ctx)}${caption}` : link;
+}
+
+/**
+ * Convert {% content-ref %} to simple link
+ */
+export function convertContentRefs(node, ctx) {
+  const url = node.attributes.url;
+  if (!url) return undefined;
+
+  const [target, anchor] = splitAnchor(url);
+  const linkText = target.replace(/\.md$/, '').split('/').pop().replace(/-/g, ' ');
+  const href = ctx.resolveUrl(target, anchor);
+
+  recordLink(ctx, node, href);
+  return `[${linkText}](${href})`;
+}
+
+// Vectary viewer and AR links (app.vectary.com/p/<id>, /ar/<id>, /viewer/...); editor links can't be embedded
+const VECTARY_EMBED_REGEX = /^https?:\/\/app\.vectary\.com\/(?:p|ar|viewer)\//i;
+
+/**
+ * Convert {% embed url="..." %} to appropriate iframe/embed
+ */
+export function convertEmbeds(node, ctx) {
+  const url = node.attributes.url;
+  if (!url) return undefined;
+
+  const iframe = createEmbed(url, ctx);
+
+  // {% embed url="..." %} caption {% endembed %}
+  const caption = node.type === 'gitbookBlock' ? renderChildren(node, ctx).trim() : '';
+  if (caption) {
+    return `${iframe}\n${lineIndent(node, ctx)}<figcaption>${caption}</figcaption>`;
+  }
+  return iframe;
+}
+
+/**
+ * Embed for a URL: Vectary scenes and videos get their own components,
+ * anything else a plain iframe
+ */
+function createEmbed(url, ctx) {
+  if (VECTARY_EMBED_REGEX.test(url)) return createVectaryEmbed(url, ctx);
+
+  const video = parseVideoUrl(url);
+  if (video) return createVideoEmbed(video, ctx);
+
+  return createIframe(url);
+}
+
+/**
+ * Vectary scenes use src/components/VectaryEmbed.astro: sized by aspect ratio,
+ * loaded on click, with fullscreen and AR allowed
+ */
+function createVectaryEmbed(url, ctx) {
+  ctx.components.add('VectaryEmbed');
+  return `<VectaryEmbed url="${url}" />`;
+}
+
+/**
+ * Videos use src/components/VideoEmbed.astro: 16:9, with a thumbnail that
+ * loads the player on click (see video.js for the providers)
+ */
+function createVideoEmbed(video, ctx) {
+  ctx.components.add('VideoEmbed');
+  const poster = video.poster ? ` poster="${video.poster}"` : '';
+  return `<VideoEmbed src="${video.src}" title="${video.title}"${poster}${video.provider === 'file' ? ' file' : ''} />`;
+}
+
+/**
+ * GitBook integration blocks ({% @provider/block ... %}), keyed by tag name.
+ * Integrations without a converter here become a link card, see convertIntegrationLink.
+ */
+const INTEGRATION_CONVERTERS = {
+  '@figma/embed': (node) => node.attributes.url && createIntegrationIframe(
+    `https://www.figma.com/embed?embed_host=share&url=${encodeURIComponent(node.attributes.url)}`, 'Figma design'),
+  '@arcade/embed': (node) => {
+    const flowId = node.attributes.flowId ?? node.attributes.url?.match(/arcade\.software\/share\/([\w-]+)/)?.[1];
+    return flowId && createIntegrationIframe(`https://demo.arcade.software/${flowId}?embed`, 'Arcade demo');
+  },
+  '@supademo/embed': (node) => {
+    const demoId = node.attributes.url?.match(/supademo\.com\/(?:demo|embed)\/([\w-]+)/)?.[1];
+    return demoId && createIntegrationIframe(`https://app.supademo.com/embed/${demoId}`, 'Supademo demo');
+  },
+  '@github-files/github-code-block': convertGitHubCodeBlock,
+};
+
+/**
+ * Iframe for an integration: full width at 16:9 (see .integration-embed in custom.css), loaded lazily
+ */
+function createIntegrationIframe(src, title) {
+  return `<iframe
+  class="integration-embed"
+  src="${src}"
+  title="${title}"
+  loading="lazy"
+  frameborder="0"
+  allow="fullscreen; clipboard-write"
+  allowfullscreen
+></iframe>`;
+}
+
+/**
+ * Show the file a {% @github-files/github-code-block url="..." %} embed
+ * points at, read from a local copy of the repository (never fetched), as a
+ * code block titled with its path. The #L10-L20 line range is kept. Without a
+ * local copy the embed becomes a link to the file, with a warning.
+ */
+function convertGitHubCodeBlock(node, ctx) {
+  const file = node.attributes.url && parseGitHubFileUrl(node.attributes.url);
+  if (!file) return undefined;
+
+  const content = ctx.readGitHubFile(file);
+  if (content === null) {
+    ctx.warnings.push({
+      line: sourceLine(ctx, node),
+      message: `${file.owner}/${file.repo}/${file.path} has no local copy, add the repository to githubRepos ` +
+               'in convert.config.js (the embed is a link for now)',
+    });
+    return createLinkCard(ctx, file.path, node.attributes.url, `${file.owner}/${file.repo}`);
+  }
+
+  let lines = content.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  if (file.startLine) lines = lines.slice(file.startLine - 1, file.endLine);
+
+  const extension = path.extname(file.path).slice(1).toLowerCase();
+  const longestFence = Math.max(0, ...lines.map((line) => line.match(/^\s*(`{3,})/)?.[1].length ?? 0));
+  const fence = '`'.repeat(Math.max(3, longestFence + 1));
+  const indent = lineIndent(node, ctx);
+
+  return [`${fence}${extension || 'text'} title="${file.path}"`, ...lines, fence]
+    .join(`\n${indent}`).replace(/[ \t]+$/gm, '');
+}
+
+/**
+ * Link card for an integration we have no converter for (or one that can't
+ * be shown), so readers can still open the embedded content
+ */
+function convertIntegrationLink(node, ctx) {
+  const { url, title } = node.attributes;
+  if (!url || !/^https?:\/\//i.test(url)) return undefined;
+
+  // "@storylane/embed" → "Storylane"
+  const provider = node.name.slice(1).split('/')[0].split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    // Not a valid URL (e.g. "https://"), leave the tag for the leftover report
+    return undefined;
+  }
+
+  return createLinkCard(ctx, title ?? provider, url, host);
+}
+
+function createLinkCard(ctx, title, href, description) {
+  ctx.components.add('LinkCard');
+  return `<LinkCard title="${escapeJsxAttribute(title)}" href="${escapeJsxAttribute(href)}" ` +
+         `description="${escapeJsxAttribute(description)}" />`;
+}
+
+/**
+ * Escape a value for a double-quoted JSX attribute
+ */
+function escapeJsxAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Create iframe HTML for a given URL
+ */
+export function createIframe(url) {
+  return `<iframe
+  width="100%"
+  height="400"
+  src="${url}"
+  title="Embedded content"
+  frameborder="0"
+></iframe>`;
+}
+
+/**
+ * Convert <table data-view="cards"> to Cards component
+ */
+export function convertCards(html, ctx, node) {
+  const currentDir = path.dirname(ctx.filePath);
+
+  const cardTableRegex = /<table\s+data-view="cards"[^>]*>([\s\S]*?)<\/table>/gi;
+
+  return html.replace(cardTableRegex, (match, tableContent) => {
+    // Extract rows from tbody
+    const tbodyMatch = tableContent.match(/<tbody>([\s\S]*?)<\/tbody>/i);
+    if (!tbodyMatch) return match;
+
+    const rows = [];
+    const rowRegex = /<tr>([\s\S]*?)<\/tr>/gi;
+    let rowMatch;
+
+    while ((rowMatch = rowRegex.exec(tbodyMatch[1])) !== null) {
+      const cells = [];
+      const cellRegex = /<td>([\s\S]*?)<\/td>/gi;
+      let cellMatch;
+
+      while ((cellMatch = cellRegex.exec(rowMatch[1])) !== null) {
+        cells.push(cellMatch[1].trim());
+      }
+
+      if (cells.length > 0) {
+        // First cell is title, second is link, third is cover image
+        const title = cells[0]?.replace(/<\/?strong>/g, '') || '';
+        const linkMatch = cells[1]?.match(/<a\s+href="([^"]+)"[^>]*>([^<]*)<\/a>/i);
+        const rawLink = linkMatch ? linkMatch[1] : '';
+        const coverMatch = cells[2]?.match(/<a\s+href="([^"]+)"/i);
+        const cover = coverMatch ? coverMatch[1] : '';
+
+        // Convert link to absolute path
+        let href = rawLink.replace(/\.md$/, '');
+        if (href && !href.startsWith('http') && !href.startsWith('/')) {
+          // Resolve relative path
+          const resolvedPath = path.normalize(path.join(currentDir, href));
+          href = '/' + resolvedPath.replace(/\\/g, '/');
+        }
+        if (href) {
+          recordLink(ctx, node, href, rawLink);
+        }
+
+        // Convert cover image path
+        let coverUrl = '';
+        if (cover && cover.includes('.gitbook/assets/')) {
+          coverUrl = fixAssetPath(cover, ctx, node);
+        }
+
+        rows.push({ title, href, coverUrl });
+      }
+    }
+
+    if (rows.length === 0) return match;
+
+    // Generate LinkCards with cover images using custom HTML structure
+    const cardItems = rows.map(row => {
+      if (row.coverUrl) {
+        return `<a href="${row.href}" class="card-link">
+  <div class="card-cover" style="background-image: url('${row.coverUrl}')"></div>
+  <div class="card-title">${row.title}</div>
+</a>`;
+      }
+      return `  <Card title="${row.title}" href="${row.href}" />`;
+    }).join('\n');
+
+    if (rows.some(r => !r.coverUrl)) {
+      ctx.components.add('Card');
+    }
+
+    // If we have covers, use custom grid; otherwise use CardGrid
+    const hasCover = rows.some(r => r.coverUrl);
+    if (hasCover) {
+      return `<div class="card-grid">\n${cardItems}\n</div>`;
+    }
+    ctx.components.add('CardGrid');
+    return `<CardGrid>\n${cardItems}\n</CardGrid>`;
+  });
+}
+
+/**
+ * Convert <figure><img> with width to styled image
+ */
+export function convertFigures(html, ctx, node) {
+  // Pattern: <figure><img src="..." alt="..." width="..."><figcaption>...</figcaption></figure>
+  const figureRegex = /<figure>\s*<img\s+([^>]*)>\s*(?:<figcaption>([^<]*)<\/figcaption>)?\s*<\/figure>/gi;
+
+  return html.replace(figureRegex, (match, imgAttrs, caption) => {
+    const srcMatch = imgAttrs.match(/src="([^"]+)"/i);
+    const altMatch = imgAttrs.match(/alt="([^"]*)"/i);
+    const widthMatch = imgAttrs.match(/width="([^"]+)"/i);
+
+    if (!srcMatch) return match;
+
+    const alt = altMatch ? altMatch[1] : (caption || '');
+    const width = widthMatch ? widthMatch[1] : '';
+    const image = createImage(srcMatch[1], alt, ctx, node, { width });
+
+    const captionEl = caption ? `\n<figcaption>${caption}</figcaption>` : '';
+
+    return `<figure>\n  ${image}${captionEl}\n</figure>`;
+  });
+}
+
+/**
+ * Convert <div align="..."> to styled div
+ */
+export function convertAlignedDivs(html) {
+  const alignRegex = /<div\s+align="(\w+)">/gi;
+
+  return html.replace(alignRegex, (match, align) => {
+    return `<div style={{ textAlign: '${align}' }}>`;
+  });
+}
+
+/**
+ * Convert <img data-size="line"> to inline image
+ */
+export function convertInlineImages(html, ctx, node) {
+  const inlineImgRegex = /<img\s+([^>]*data-size="line"[^>]*)>/gi;
+
+  return html.replace(inlineImgRegex, (match, attrs) => {
+    const srcMatch = attrs.match(/src="([^"]+)"/i);
+    const altMatch = attrs.match(/alt="([^"]*)"/i);
+
+    if (!srcMatch) return match;
+
+    const alt = altMatch ? altMatch[1] : '';
+    const style = "display: 'inline', height: '1.2em', width: 'auto', verticalAlign: 'middle'";
+
+    return createImage(srcMatch[1], alt, ctx, node, { style, inline: true });
+  });
+}
+
+/**
+ * Convert any other <img> of a GitBook asset (e.g. inside <div align="center">)
+ */
+export function convertImageSources(html, ctx, node) {
+  const imgRegex = /<img\s+([^>]*?src="[^"]*\.gitbook\/assets\/[^"]*"[^>]*?)\/?>/gi;
+
+  return html.replace(imgRegex, (match, attrs) => {
+    const src = attrs.match(/src="([^"]+)"/i)[1];
+    const altMatch = attrs.match(/alt="([^"]*)"/i);
+    const widthMatch = attrs.match(/width="([^"]+)"/i);
+
+    return createImage(src, altMatch ? altMatch[1] : '', ctx, node, { width: widthMatch?.[1] });
+  });
+}
+
+/**
+ * Create the element for an image. Raster images from .gitbook/assets go
+ * through Astro's image pipeline as <Picture> (AVIF/WebP variants, intrinsic
+ * dimensions, lazy loading); other images stay a plain <img>.
+ *
+ * @param {object} [options]
+ * @param {string} [options.width] - GitBook's width attribute ("375" or "50%"), used as the maximum width
+ * @param {string} [options.style] - Properties of a JSX style object
+ * @param {boolean} [options.inline] - Keep the image in the line of text
+ */
+export function createImage(src, alt, ctx, node, { width, style, inline = false } = {}) {
+  const isPixelWidth = /^\d+$/.test(width ?? '');
+  const styles = [
+    width && `maxWidth: '${isPixelWidth ? `${width}px` : width}'`,
+    style,
+  ].filter(Boolean);
+  const styleAttr = styles.length > 0 ? ` style={{ ${styles.join(', ')} }}` : '';
+  const altAttr = `alt="${alt.replace(/"/g, '&quot;')}"`;
+
+  const imageName = importImage(src, ctx, node);
+  if (!imageName) {
+    return `<img src="${fixAssetPath(src, ctx, node)}" ${altAttr}${styleAttr} />`;
+  }
+
+  // Only generate the sizes the page displays (and 2x for high-DPI screens)
+  const sizes = isPixelWidth
+    ? ` widths={[${width}, ${width * 2}]} sizes="(max-width: ${width}px) 100vw, ${width}px"`
+    : '';
+  // Starlight displays <picture> as a block
+  const pictureAttr = inline ? " pictureAttributes={{ style: 'display: inline' }}" : '';
+
+  return `<Picture src={${imageName}} formats={['avif', 'webp']} ${altAttr}${sizes}${styleAttr}${pictureAttr} />`;
+}
+
+/**
+ * Import a raster image from .gitbook/assets into the page
+ *
+ * @returns {string|null} The name of the imported image, or null when the image
+ *   can't be optimized (not a GitBook asset, SVG/GIF, or a missing file)
+ */
+function importImage(src, ctx, node) {
+  const assetPath = optimizableAssetPath(src, ctx);
+  if (!assetPath) return null;
+
+  recordAsset(ctx, node, assetPath, src, true);
+
+  if (!ctx.images.has(assetPath)) {
+    ctx.images.set(assetPath, `gitbookImage${ctx.images.size + 1}`);
+  }
+  ctx.components.add('Picture');
+
+  return ctx.images.get(assetPath);
+}
+
+function optimizableAssetPath(src, ctx) {
+  const assetPath = gitbookAssetPath(src);
+  if (!assetPath || !OPTIMIZED_IMAGE_REGEX.test(assetPath) || !ctx.assetExists(assetPath)) {
+    return null;
+  }
+  return assetPath;
+}
+
+/**
+ * Convert <mark style="color:..."> to styled span
+ */
+export function convertMarks(html) {
+  const markRegex = /<mark\s+style="color:\s*([^"]+)">([\s\S]*?)<\/mark>/gi;
+
+  return html.replace(markRegex, (match, color, text) => {
+    // Remove semicolon if present in color value
+    const cleanColor = color.replace(/;$/, '');
+    return `<span style={{ color: '${cleanColor}' }}>${text}</span>`;
+  });
+}
+
+/**
+ * Create a resolver that turns internal link URLs into root-relative paths
+ * (/documentation/...). The site base path is added at build time by
+ * src/plugins/rehype-base-path.mjs.
+ *
+ * @param {string} currentFilePath - Path to current file (e.g., "documentation/design-process/background.md")
+ * @param {Map<string, Map<string, string>>} anchorMaps - GitBook anchors of each page (by slug),
+ *   mapped to the Starlight heading anchors they end up under (see buildAnchorMap)
+ * @param {string} [basePath] - Site base path, removed from absolute links
+ */
+export function createUrlResolver(currentFilePath, anchorMaps = new Map(), basePath = undefined) {
+  const currentDir = path.dirname(currentFilePath);
+  const currentFileName = path.basename(currentFilePath, '.md').toLowerCase();
+  const isIndex = currentFileName === 'readme';
+
+  /**
+   * Map a GitBook anchor (heading, tab title or <a id>) to the anchor it has in Starlight
+   * Unknown anchors are kept as is and reported by the link check
+   */
+  function mapAnchor(targetSlug, anchor) {
+    if (!anchor) return '';
+
+    const anchorMap = anchorMaps.get(targetSlug);
+    const name = anchor.slice(1);
+    const mapped = anchorMap?.get(name) ?? anchorMap?.get(name.toLowerCase());
+
+    if (mapped === undefined) return anchor;
+    return mapped ? `#${mapped}` : '';
+  }
+
+  /**
+   * Resolve a link URL to absolute path
+   */
+  return function resolveUrl(rawUrl, anchor) {
+    // Handle anchor-only links
+    if (!rawUrl || rawUrl === '') {
+      return mapAnchor(slugFromPath(currentFilePath), anchor) || '#';
+    }
+
+    // Don't modify external links
+    if (rawUrl.startsWith('http://') || rawUrl.startsWith('https://')) {
+      return rawUrl + (anchor || '');
+    }
+
+    // Handle already absolute paths
+    if (rawUrl.startsWith('/')) {
+      const absoluteUrl = stripBasePath(rawUrl.replace(/\.md$/, ''), basePath);
+      const targetSlug = absoluteUrl.replace(/^\/+|\/+$/g, '');
+      return absoluteUrl + mapAnchor(targetSlug, anchor);
+    }
+
+    // Remove .md extension and normalize ./ prefix
+    let targetPath = rawUrl.replace(/\.md$/, '').replace(/^\.\//, '');
+
+    // Resolve target path relative to current directory
+    const resolvedTarget = path.normalize(path.join(currentDir, targetPath));
+
+    const mappedAnchor = mapAnchor(slugFromPath(resolvedTarget), anchor);
+
+    // Check if linking to self
+    const targetFileName = path.basename(resolvedTarget).toLowerCase();
+    const targetDir = path.dirname(resolvedTarget);
+    if ((targetFileName === currentFileName || (isIndex && targetFileName === 'readme')) && targetDir === currentDir) {
+      return mappedAnchor || '#';
+    }
+
+    // Calculate absolute URL path
+    // If target is README (index), URL is the folder
+    // Otherwise URL is folder/filename
+    let targetUrlPath;
+    const targetBasename = path.basename(targetPath).toLowerCase();
+    if (targetBasename === 'readme') {
+      targetUrlPath = path.dirname(resolvedTarget);
+    } else {
+      targetUrlPath = resolvedTarget;
+    }
+
+    // Convert to root-relative path
+    // Convert backslashes to forward slashes (Windows compatibility)
+    const absolutePath = '/' + targetUrlPath.replace(/\\/g, '/');
+
+    return absolutePath + mappedAnchor;
+  };
+}
+
+/**
+ * Split "page.md#anchor" into ["page.md", "#anchor"]
+ */
+function splitAnchor(href) {
+  const anchorIndex = href.indexOf('#');
+  if (anchorIndex === -1) return [href, null];
+  return [href.slice(0, anchorIndex), href.slice(anchorIndex)];
+}
+
+/**
+ * Clean up link text (for mention links where text = filename)
+ */
+function cleanLinkText(text) {
+  if (text.endsWith('.md')) {
+    let clean = text.replace(/\.md$/, '').replace(/-/g, ' ');
+    return clean.charAt(0).toUpperCase() + clean.slice(1);
+  }
+  return text;
+}
+
+/**
+ * Resolve markdown links: [text](file.md#anchor) and [text](file.md "mention")
+ */
+export function resolveLinks(node, ctx) {
+  const isMention = node.title === 'mention';
+
+  // Download links to files in .gitbook/assets
+  if (!isMention && node.url.includes('.gitbook/assets/')) {
+    return `[${renderChildren(node, ctx)}](${fixAssetPath(node.url, ctx, node)})`;
+  }
+
+  // Same-page anchors (headings, tabs) are remapped like links to other pages
+  if (!isMention && node.url.startsWith('#')) {
+    const href = ctx.resolveUrl('', node.url);
+    recordLink(ctx, node, href);
+    return `[${renderChildren(node, ctx)}](${href})`;
+  }
+
+  if (!isMention && !/\.md(#|$)/.test(node.url)) {
+    // Not a GitBook page link, but still check where it points
+    recordLink(ctx, node, node.url);
+    return undefined;
+  }
+
+  const [url, anchor] = splitAnchor(node.url);
+  const text = renderChildren(node, ctx);
+  const linkText = isMention ? cleanLinkText(text) : text;
+  const href = ctx.resolveUrl(url, anchor);
+
+  recordLink(ctx, node, href);
+  return `[${linkText}](${href})`;
+}
+
+/**
+ * Resolve HTML links: <a data-mention href="file.md">text</a> and <a href="file.md">text</a>
+ */
+export function resolveHtmlLinks(html, ctx, node) {
+  // 1. Handle HTML data-mention links: <a data-mention href="file.md">text</a>
+  const htmlMentionRegex = /<a\s+data-mention\s+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi;
+  html = html.replace(htmlMentionRegex, (match, href, text) => {
+    const [url, anchor] = splitAnchor(href);
+    const resolvedUrl = ctx.resolveUrl(url, anchor);
+    recordLink(ctx, node, resolvedUrl, href);
+    return `[${cleanLinkText(text)}](${resolvedUrl})`;
+  });
+
+  // 2. Handle regular HTML links: <a href="file.md">text</a>
+  const htmlLinkRegex = /<a\s+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi;
+  return html.replace(htmlLinkRegex, (match, href, text) => {
+    // Skip external links
+    if (href.startsWith('http://') || href.startsWith('https://') || href.startsWith('mailto:')) {
+      return match;
+    }
+
+    // Download links to files in .gitbook/assets
+    if (href.includes('.gitbook/assets/')) {
+      return `[${text}](${fixAssetPath(href, ctx, node)})`;
+    }
+
+    const [url, anchor] = splitAnchor(href);
+    const resolvedUrl = ctx.resolveUrl(url, anchor);
+    recordLink(ctx, node, resolvedUrl, href);
+    return `[${text}](${resolvedUrl})`;
+  });
+}
+
+/**
+ * Remove/decode HTML entities
+ */
+export function removeHtmlEntities(content) {
+  return content
+    .replace(/&#x20;/g, ' ')
+    .replace(/&#x3C;/gi, '<')
+    .replace(/&#x3E;/gi, '>')
+    .replace(/&#60;/g, '<')
+    .replace(/&#62;/g, '>');
+}
+
+/**
+ * Fix malformed bold text caused by HTML entities
+ * E.g., "**is&#x20;**" decodes to "**is **", which is no longer bold,
+ * so move the trailing whitespace outside: "**is** "
+ */
+export function fixMalformedBold(node, ctx) {
+  const start = node.position.start.offset;
+  const end = node.position.end.offset;
+  const marker = ctx.source.slice(start, start + 2);
+  const inner = renderSource(node, ctx, start + 2, end - 2);
+  const trailing = inner.match(/\s*$/)[0];
+
+  return `${marker}${inner.trimEnd()}${marker}${trailing}`;
+}
+
+/**
+ * Convert <pre><code> blocks to markdown code blocks. GitBook writes them when
+ * writers highlight code: bold becomes an Expressive Code mark and italic an
+ * insertion (see codeMarkers).
+ *
+ * @param {string} html
+ * @param {string} [indent] - Container prefix (list item indentation, "> ") of the lines after the first:
+ *   removed from the code and written before every line of the code block
+ */
+export function convertPreCodeBlocks(html, indent = '') {
+  // Pattern: <pre class="language-xxx"><code class="lang-xxx">...</code></pre>
+  const preCodeRegex = /<pre[^>]*class="language-(\w+)"[^>]*>\s*<code[^>]*>([\s\S]*?)<\/code>\s*<\/pre>/gi;
+
+  return html.replace(preCodeRegex, (match, language, code) => {
+    const { text, spans } = parseHighlightedCode(removeLinePrefix(code, indent));
+    const meta = codeMarkers(text, spans);
+    const fence = '`'.repeat(Math.max(3, longestBacktickFence(text) + 1));
+
+    return [`${fence}${language}${meta ? ` ${meta}` : ''}`, ...text.split('\n'), fence]
+      .map((line, index) => (index === 0 ? line : `${indent}${line}`.trimEnd() || line))
+      .join('\n');
+  });
+}
+
+/**
+ * Remove a container prefix from the lines after the first (blank lines may have less of it)
+ */
+function removeLinePrefix(text, prefix) {
+  if (!prefix) return text;
+
+  return text.split('\n').map((line, index) => {
+    if (index === 0) return line;
+    if (line.startsWith(prefix)) return line.slice(prefix.length);
+    return prefix.startsWith(line) ? '' : line;
+  }).join('\n');
+}
+
+// Expressive Code marker type of each highlighting tag
+const CODE_HIGHLIGHT_TAGS = { strong: 'mark', b: 'mark', em: 'ins', i: 'ins' };
+
+/**
+ * Split the HTML inside <code> into its text (entities decoded, without the
+ * surrounding blank lines) and the highlighted spans, as text offsets
+ */
+function parseHighlightedCode(code) {
+  const spans = [];
+  const open = [];
+  let text = '';
+
+  for (const [token, closing, tagName] of code.matchAll(/<(\/?)(\w+)[^>]*>|[^<]+|</g)) {
+    const type = tagName && CODE_HIGHLIGHT_TAGS[tagName.toLowerCase()];
+
+    if (!tagName) {
+      text += decodeCodeEntities(token);
+    } else if (!type) {
+      // Other tags (<span>, <a>, ...) only style the code
+    } else if (!closing) {
+      open.push({ type, start: text.length });
+    } else {
+      const index = open.findLastIndex((span) => span.type === type);
+      if (index !== -1) spans.push({ ...open.splice(index, 1)[0], end: text.length });
+    }
+  }
+
+  // The code starts after <code> and ends before its last line break
+  const leading = text.match(/^\n*/)[0].length;
+  const trimmed = text.slice(leading).replace(/\s+$/, '');
+  return {
+    text: trimmed,
+    spans: spans.map(({ type, start, end }) => ({
+      type,
+      start: Math.max(0, start - leading),
+      end: Math.min(trimmed.length, end - leading),
+    })).filter(({ start, end }) => end > start),
+  };
+}
+
+/**
+ * Decode the character references GitBook writes inside <pre> blocks
+ */
+function decodeCodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(Number(decimal)))
+    .replace(/&(lt|gt|quot|apos|nbsp);/g, (match, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' })[name])
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Expressive Code meta for highlighted spans: a span covering whole lines
+ * marks those lines ({2-3}, ins={4}); a span inside a line marks the term
+ * ("init", ins="init") when it appears only once in the code, or else its line
+ */
+function codeMarkers(text, spans) {
+  let offset = 0;
+  const lines = text.split('\n').map((line) => {
+    const start = offset;
+    offset += line.length + 1;
+    return { line, start, end: start + line.length };
+  });
+  const markers = { mark: { lines: new Set(), terms: new Set() }, ins: { lines: new Set(), terms: new Set() } };
+
+  for (const { type, start, end } of spans) {
+    lines.forEach(({ line, start: lineStart, end: lineEnd }, index) => {
+      if (start >= lineEnd || end <= lineStart) return;
+      const segment = text.slice(Math.max(start, lineStart), Math.min(end, lineEnd)).trim();
+      if (!segment) return;
+
+      const isWholeLine = segment === line.trim();
+      const isUnique = text.indexOf(segment) === text.lastIndexOf(segment);
+      if (isWholeLine || !isUnique) markers[type].lines.add(index + 1);
+      else markers[type].terms.add(segment);
+    });
+  }
+
+  const meta = [];
+  for (const [type, { lines: lineNumbers, terms }] of Object.entries(markers)) {
+    const prefix = type === 'mark' ? '' : `${type}=`;
+    if (lineNumbers.size > 0) meta.push(`${prefix}{${lineRanges([...lineNumbers])}}`);
+    for (const term of terms) meta.push(`${prefix}${quoteMetaString(term)}`);
+  }
+  return meta.join(' ');
+}
+
+/**
+ * "1, 2, 3, 5" → "1-3, 5"
+ */
+function lineRanges(lineNumbers) {
+  const ranges = [];
+  for (const line of lineNumbers.sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) last[1] = line;
+    else ranges.push([line, line]);
+  }
+  return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(', ');
+}
+
+/**
+ * Quote a string for Expressive Code meta (a regex when it has both quote characters)
+ */
+function quoteMetaString(value) {
+  if (!value.includes('"')) return `"${value}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  return `/${value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}/`;
+}
+
+/**
+ * Length of the longest backtick fence inside some code (0 when there is none)
+ */
+function longestBacktickFence(text) {
+  return Math.max(0, ...text.split('\n').map((line) => line.match(/^\s*(`{3,})/)?.[1].length ?? 0));
+}
+
+/**
+ * Convert {% code title="..." lineNumbers="true" overflow="wrap" %} around a
+ * code block to Expressive Code options on its fence: title="...",
+ * showLineNumbers (see ec.config.mjs) and wrap
+ */
+export function convertCodeBlocks(node, ctx) {
+  const { title, lineNumbers, overflow } = node.attributes;
+  const meta = [
+    title && `title=${quoteMetaString(title)}`,
+    lineNumbers === 'true' && 'showLineNumbers',
+    overflow === 'wrap' && 'wrap',
+  ].filter(Boolean).join(' ');
+
+  const code = renderChildren(node, ctx);
+  if (!meta) return code;
+
+  // Options go on the opening fence of the (first) code block
+  return code.replace(/^([ \t>]*)(`{3,}|~{3,})(.*)$/m, (fence, indent, marker, info) =>
+    `${indent}${marker}${info.trimEnd()} ${meta}`);
+}
+
+/**
+ * Escape angle brackets inside inline <code> tags to prevent JSX parsing
+ */
+export function escapeInlineCode(html) {
+  const inlineCodeRegex = /<code>([^<]*(?:<(?!\/code>)[^<]*)*)<\/code>/gi;
+
+  return html.replace(inlineCodeRegex, (match, code) => {
+    // Skip if it looks like it's already escaped
+    if (code.includes('&lt;') || code.includes('&gt;')) {
+      return match;
+    }
+    // Escape < and > that look like type parameters (e.g., Array<Type>)
+    const escaped = code
+      .replace(/<(?!\s)/g, '&lt;')
+      .replace(/(?<!\s)>/g, '&gt;');
+    return `<code>${escaped}</code>`;
+  });
+}
+
+/**
+ * Convert GitBook escaped brackets \[ and \] to regular brackets
+ */
+export function convertEscapedBrackets(content) {
+  return content
+    .replace(/\\\[/g, '[')
+    .replace(/\\\]/g, ']');
+}
+
+/**
+ * Fix figures inside list items - move them outside the list
+ * MDX doesn't support block elements inside list items
+ * Match: "* text<br>\n\n    <figure>...</figure>"
+ */
+export function fixFiguresInLists(node, ctx) {
+  const [paragraph, figure] = node.children;
+  if (node.children.length !== 2 || paragraph.type !== 'paragraph') return undefined;
+  if (figure.type !== 'html' || !/^\s*<figure>/i.test(figure.value)) return undefined;
+
+  const lineBreak = paragraph.children[paragraph.children.length - 1];
+  if (lineBreak?.type !== 'html' || !/^<br\s*\/?>$/i.test(lineBreak.value)) return undefined;
+
+  // Remove the indentation from figure and place it after the list item
+  const listItem = renderSource(node, ctx, node.position.start.offset, lineBreak.position.start.offset);
+  const cleanFigure = render(figure, ctx).trimStart().replace(/^\s{4}/gm, '');
+  return `${listItem}\n\n${cleanFigure}`;
+}
+
+/**
+ * Convert void HTML tags to self-closing for JSX/MDX compatibility
+ */
+export function convertVoidTags(html) {
+  return html
+    // <br> → <br />
+    .replace(/<br\s*>/gi, '<br />')
+    // <hr> → <hr />
+    .replace(/<hr\s*>/gi, '<hr />')
+    // <img ...> → <img ... /> (only if not already self-closing)
+    .replace(/<img\s+([^>]*[^/])>/gi, '<img $1 />');
+}
+
+/**
+ * Fix asset paths from GitBook format to Starlight format, recording the asset.
+ * Folders inside .gitbook/assets are kept, so files with the same name in
+ * different folders don't end up at the same URL.
+ */
+export function fixAssetPath(originalPath, ctx, node) {
+  const assetPath = gitbookAssetPath(originalPath);
+  if (!assetPath) return originalPath;
+
+  recordAsset(ctx, node, assetPath, originalPath);
+
+  // Public assets path (the base path is added at build time)
+  return assetUrl(assetPath);
+}
+
+/**
+ * Path of a GitBook asset inside .gitbook/assets, or null for other URLs
+ * ("../../.gitbook/assets/guides/image%20(1).png" → "guides/image (1).png")
+ */
+function gitbookAssetPath(url) {
+  const marker = '.gitbook/assets/';
+  const index = url.lastIndexOf(marker);
+  if (index === -1) return null;
+
+  return decodeAssetPath(url.slice(index + marker.length));
+}
+
+/**
+ * GitBook writes asset paths both raw ("image (1).png") and URL-encoded
+ * ("image%20(1).png"); decode them so both refer to the same file
+ */
+function decodeAssetPath(assetPath) {
+  try {
+    return decodeURIComponent(assetPath);
+  } catch {
+    // A literal % in the file name
+    return assetPath;
+  }
+}
+
+/**
+ * Fix markdown image paths with gitbook assets
+ * Handles: ![alt](<../.gitbook/assets/file.png>) and ![alt](../.gitbook/assets/file.png)
+ */
+export function fixMarkdownImagePaths(node, ctx) {
+  if (!node.url.includes('.gitbook/assets/')) return undefined;
+
+  if (optimizableAssetPath(node.url, ctx)) {
+    return createImage(node.url, node.alt ?? '', ctx, node);
+  }
+  return `![${node.alt ?? ''}](${fixAssetPath(node.url, ctx, node)})`;
+}
+
+/**
+ * Convert a raw HTML node (an HTML block or a single inline tag)
+ */
+export function convertHtml(node, ctx) {
+  let html = renderSource(node, ctx);
+
+  // Code blocks only need their entities decoded; the fixes below are for HTML
+  if (/^<pre[\s>]/i.test(html)) return convertPreCodeBlocks(html, lineIndent(node, ctx));
+
+  html = convertCards(html, ctx, node);
+  html = convertFigures(html, ctx, node);
+  html = convertAlignedDivs(html);
+  html = convertInlineImages(html, ctx, node);
+  html = convertImageSources(html, ctx, node);
+  html = convertMarks(html);
+  html = resolveHtmlLinks(html, ctx, node);
+  html = removeHtmlEntities(html);
+  html = convertPreCodeBlocks(html);
+  html = escapeInlineCode(html);
+  html = convertEscapedBrackets(html);
+  html = convertVoidTags(html);
+
+  return html;
+}
+
+/**
+ * Convert an inline <tag>...</tag> pair inside a paragraph
+ */
+export function convertHtmlElement(node, ctx) {
+  const inner = renderSource(node, ctx, node.open.position.end.offset, node.close.position.start.offset);
+  const html = render(node.open, ctx) + inner + render(node.close, ctx);
+
+  switch (node.tagName) {
+    case 'mark':
+      return convertMarks(html);
+    case 'a':
+      return resolveHtmlLinks(html, ctx, node);
+    case 'code':
+      return escapeInlineCode(html);
+    default:
+      return html;
+  }
+}
+
+/**
+ * Convert plain text: decode entities and GitBook's escaped brackets
+ */
+export function convertText(node, ctx) {
+  return convertEscapedBrackets(removeHtmlEntities(renderSource(node, ctx)));
+}
+
+/**
+ * Frontmatter keys Starlight has fields for; every other GitBook key is kept under `gitbook`
+ */
+const MAPPED_FRONTMATTER_KEYS = new Set(['title', 'description', 'hidden']);
+
+/**
+ * Parse GitBook frontmatter YAML
+ *
+ * @param {string|null} frontmatterRaw - YAML between the --- fences, if any
+ * @param {string} filePath - Path of the source file, for errors
+ * @returns {object} Frontmatter data ({} when there is none)
+ * @throws {GitBookSyntaxError} On invalid YAML
+ */
+export function parseFrontmatter(frontmatterRaw, filePath) {
+  if (frontmatterRaw === null) return {};
+
+  try {
+    const data = yaml.load(frontmatterRaw);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    // The YAML starts on line 2, after the opening ---
+    const point = { line: (error.mark?.line ?? 0) + 2, column: (error.mark?.column ?? 0) + 1 };
+    throw new GitBookSyntaxError(`Invalid frontmatter: ${error.reason ?? error.message}`, point, { filePath });
+  }
+}
+
+/**
+ * Process frontmatter - convert GitBook frontmatter to Starlight format.
+ * Title and description map to Starlight fields, hidden pages are built but
+ * unlisted (see hiddenFrontmatter), layout options become Starlight page
+ * options (see layoutFrontmatter) and the icon shows in the sidebar (see
+ * sidebarFrontmatter). All keys but title, description and hidden are also
+ * kept under `gitbook` for components (see src/content.config.ts).
+ *
+ * @param {string|null} frontmatterRaw - YAML between the --- fences, if any
+ * @param {string} body - Converted page body
+ * @param {string} filePath - Path of the source file
+ * @param {string|null} headingTitle - Text of the page's first H1
+ * @param {ConvertContext} [ctx] - Resolves the cover image to its asset URL (and records the asset),
+ *   collects warnings
+ * @throws {GitBookSyntaxError} On invalid YAML
+ */
+export function processFrontmatter(frontmatterRaw, body, filePath, headingTitle, ctx = undefined) {
+  const fm = parseFrontmatter(frontmatterRaw, filePath);
+
+  // Check if this is an index file (README.md) in a subdirectory
+  const fileName = path.basename(filePath).toLowerCase();
+  const isIndexFile = fileName === 'readme.md' && path.dirname(filePath) !== '.';
+
+  // Title - fall back to the first H1 (already removed from the body)
+  const data = { title: String(fm.title ?? headingTitle ?? path.basename(filePath, '.md')) };
+
+  if (fm.description) {
+    data.description = String(fm.description).trim();
+  }
+
+  Object.assign(data, layoutFrontmatter(fm.layout));
+
+  if (fm.hidden === true) {
+    Object.assign(data, hiddenFrontmatter());
+  }
+
+  const sidebar = sidebarFrontmatter(fm, isIndexFile, frontmatterRaw, ctx);
+  if (Object.keys(sidebar).length > 0) {
+    data.sidebar = sidebar;
+  }
+
+  const gitbook = Object.fromEntries(Object.entries(fm).filter(([key]) => !MAPPED_FRONTMATTER_KEYS.has(key)));
+  if (typeof gitbook.cover === 'string' && ctx) {
+    gitbook.cover = frontmatterAssetUrl(gitbook.cover, frontmatterRaw, ctx);
+  }
+  if (Object.keys(gitbook).length > 0) {
+    data.gitbook = gitbook;
+  }
+
+  const yamlText = yaml.dump(data, { lineWidth: -1, noRefs: true });
+
+  // Without frontmatter, keep a blank line between it and the body
+  return `---\n${yamlText}---\n${frontmatterRaw === null ? '\n' : ''}${body}`;
+}
+
+/**
+ * Starlight frontmatter for GitBook's page layout options. Hiding the title
+ * and wide pages have no Starlight field: src/components/PageTitle.astro reads
+ * them from gitbook.layout.
+ */
+function layoutFrontmatter(layout) {
+  // Older GitBook spaces use a preset instead of options
+  if (layout === 'landing') return { template: 'splash' };
+  if (!layout || typeof layout !== 'object') return {};
+
+  const options = {};
+
+  // GitBook's table of contents is the page list on the left, Starlight's sidebar
+  if (layout.tableOfContents?.visible === false) {
+    options.template = 'splash';
+  }
+  // GitBook's outline is the "On this page" list, Starlight's table of contents
+  if (layout.outline?.visible === false) {
+    options.tableOfContents = false;
+  }
+  if (layout.pagination?.visible === false) {
+    options.prev = false;
+    options.next = false;
+  }
+
+  return options;
+}
+
+/**
+ * Starlight options for a GitBook hidden page. GitBook still serves hidden
+ * pages by URL (the product links to some), so they are built and routable,
+ * but kept out of search and search engines. They are left out of the sidebar
+ * (and so of prev/next links) by sidebarFrontmatter and scripts/sidebar.js.
+ */
+function hiddenFrontmatter() {
+  return {
+    pagefind: false,
+    head: [{ tag: 'meta', attrs: { name: 'robots', content: 'noindex' } }],
+  };
+}
+
+/**
+ * Starlight sidebar options. The page icon is mapped to a Starlight icon and
+ * set as a data-icon attribute of the page's sidebar link, where
+ * src/components/SidebarSublist.astro (and PageTitle.astro) render it.
+ */
+function sidebarFrontmatter(fm, isIndexFile, frontmatterRaw, ctx) {
+  const { icon } = fm;
+  const sidebar = {};
+
+  // Makes the index page appear as "Overview" in the sidebar
+  if (isIndexFile) {
+    sidebar.label = 'Overview';
+  }
+
+  // For autogenerated sidebars (without SUMMARY.md)
+  if (fm.hidden === true) {
+    sidebar.hidden = true;
+  }
+
+  if (typeof icon === 'string' && icon.trim()) {
+    const name = starlightIcon(icon);
+    if (name) {
+      sidebar.attrs = { 'data-icon': name };
+    } else if (ctx) {
+      ctx.warnings.push({
+        line: frontmatterLine(frontmatterRaw, /^icon\s*:/),
+        message: `icon "${icon}" has no Starlight icon, add it to scripts/icons.js`,
+      });
+    }
+  }
+
+  return sidebar;
+}
+
+/**
+ * Public URL of an asset referenced in the frontmatter, recording it so it's copied
+ */
+function frontmatterAssetUrl(url, frontmatterRaw, ctx) {
+  const assetPath = gitbookAssetPath(url);
+  if (!assetPath) return url;
+
+  ctx.assets.push({ path: assetPath, line: frontmatterLine(frontmatterRaw, url), optimized: false });
+  return assetUrl(assetPath);
+}
+
+/**
+ * Source line of the first frontmatter line containing text (or matching a regex)
+ */
+function frontmatterLine(frontmatterRaw, search) {
+  const index = frontmatterRaw.split('\n')
+    .findIndex((line) => (typeof search === 'string' ? line.includes(search) : search.test(line)));
+  // Frontmatter lines start at line 2, after the opening ---
+  return index === -1 ? 1 : index + 2;
+}
+
+/**
+ * Split a file into its raw frontmatter (null if missing) and body
+ */
+export function splitFrontmatter(content) {
+  const frontmatterRegex = /^---\n([\s\S]*?)\n---/;
+  const match = content.match(frontmatterRegex);
+
+  if (!match) return { frontmatter: null, body: content, lineOffset: 0 };
+  return {
+    frontmatter: match[1],
+    body: content.slice(match[0].length),
+    // The body starts on the closing --- line
+    lineOffset: match[0].split('\n').length - 1,
+  };
+}
+
+/**
+ * Add required imports at the top of MDX file
+ */
+export function addImports(content, usedComponents, extraImports = []) {
+  const imports = [];
+
+  if (usedComponents.has('Aside')) {
+    imports.push("import { Aside } from '@astrojs/starlight/components';");
+  }
+  if (usedComponents.has('Tabs') || usedComponents.has('TabItem')) {
+    imports.push("import { Tabs, TabItem } from '@astrojs/starlight/components';");
+  }
+  if (usedComponents.has('CardGrid') || usedComponents.has('Card')) {
+    imports.push("import { Card, CardGrid } from '@astrojs/starlight/components';");
+  }
+  if (usedComponents.has('LinkCard')) {
+    imports.push("import { LinkCard } from '@astrojs/starlight/components';");
+  }
+  if (usedComponents.has('Steps')) {
+    imports.push("import { Steps } from '@astrojs/starlight/components';");
+  }
+  if (usedComponents.has('Picture')) {
+    imports.push("import { Picture } from 'astro:assets';");
+  }
+  if (usedComponents.has('VectaryEmbed')) {
+    imports.push("import VectaryEmbed from '~/components/VectaryEmbed.astro';");
+  }
+  if (usedComponents.has('VideoEmbed')) {
+    imports.push("import VideoEmbed from '~/components/VideoEmbed.astro';");
+  }
+  imports.push(...extraImports);
+
+  if (imports.length === 0) return content;
+
+  // Insert imports after frontmatter: its closing --- is alone on its line
+  // (values like "Before --- After" contain --- too)
+  const frontmatter = content.match(/^---\n(?:[\s\S]*?\n)?---(?=\n|$)/);
+  if (!frontmatter) {
+    return imports.join('\n') + '\n\n' + content;
+  }
+
+  const beforeImports = frontmatter[0];
+  const afterImports = content.slice(frontmatter[0].length);
+
+  return beforeImports + '\n\n' + imports.join('\n') + afterImports;
+}
+
+/**
+ * Import statements for the images a page uses, relative to its output file
+ */
+function imageImports(images, filePath, imagesDir = DEFAULT_IMAGES_DIR) {
+  const pageDir = path.dirname(outputPathFor(filePath));
+  const toRoot = path.relative(path.join('/', pageDir), '/');
+
+  return [...images].map(([assetPath, name]) => {
+    const importPath = path.join(toRoot, imagesDir, assetPath).replace(/\\/g, '/');
+    const specifier = importPath.startsWith('.') ? importPath : `./${importPath}`;
+    return `import ${name} from '${specifier.replace(/'/g, "\\'")}';`;
+  });
+}
+
+// ============================================================================
+// MAIN CONVERTER
+// ============================================================================
+
+/**
+ * Converters for {% name %} ... {% endname %} blocks, keyed by tag name
+ */
+const BLOCK_CONVERTERS = {
+  'code': convertCodeBlocks,
+  'hint': convertHints,
+  'tabs': convertTabs,
+  'stepper': convertStepper,
+  'content-ref': convertContentRefs,
+  'embed': convertEmbeds,
+  'file': convertFileRefs,
+};
+
+/**
+ * Converters for standalone {% name %} tags, keyed by tag name
+ */
+const TAG_CONVERTERS = {
+  'embed': convertEmbeds,
+  'file': convertFileRefs,
+  ...INTEGRATION_CONVERTERS,
+};
+
+/**
+ * Build the tag converters of a page: for each node type (gitbookBlock,
+ * gitbookTag) and tag name, the converters to try in order. Custom converters
+ * run before the built-in one, or after it with position: 'after'; the first
+ * to return MDX wins.
+ *
+ * @param {CustomConverter[]} [custom]
+ * @returns {{ gitbookBlock: Map<string, Function[]>, gitbookTag: Map<string, Function[]> }}
+ * @throws {Error} When a custom converter has no tag or convert function
+ */
+export function createConverterRegistry(custom = []) {
+  const chains = { gitbookBlock: new Map(), gitbookTag: new Map() };
+  const chainOf = (nodeType, tag) => {
+    if (!chains[nodeType].has(tag)) chains[nodeType].set(tag, { before: [], builtIn: [], after: [] });
+    return chains[nodeType].get(tag);
+  };
+
+  for (const [tag, convert] of Object.entries(BLOCK_CONVERTERS)) chainOf('gitbookBlock', tag).builtIn.push(convert);
+  for (const [tag, convert] of Object.entries(TAG_CONVERTERS)) chainOf('gitbookTag', tag).builtIn.push(convert);
+
+  for (const { tag, convert, position = 'before' } of custom) {
+    if (!tag || typeof convert !== 'function' || !['before', 'after'].includes(position)) {
+      throw new Error(`Custom converters need a tag, a convert function and position 'before' or 'after' (${tag})`);
+    }
+    chainOf('gitbookBlock', tag)[position].push(convert);
+    chainOf('gitbookTag', tag)[position].push(convert);
+  }
+
+  const registry = {};
+  for (const [nodeType, byTag] of Object.entries(chains)) {
+    registry[nodeType] = new Map([...byTag].map(([tag, { before, builtIn, after }]) =>
+      [tag, [...before, ...builtIn, ...after]]));
+  }
+  return registry;
+}
+
+/**
+ * Run a chain of converters until one returns MDX
+ */
+function convertTag(node, ctx) {
+  for (const convert of ctx.converters[node.type].get(node.name) ?? []) {
+    const converted = convert(node, ctx);
+    if (converted !== undefined) return converted;
+  }
+
+  // Integrations no converter handled, e.g. {% @storylane/embed url="..." %}
+  if (node.name.startsWith('@')) return convertIntegrationLink(node, ctx);
+  return undefined;
+}
+
+/**
+ * Converters for syntax tree nodes, keyed by node type.
+ * A converter returns MDX for its node, or undefined to keep the source as is.
+ * Node types without a converter (code blocks, inline code, ...) are never touched.
+ */
+const NODE_CONVERTERS = {
+  gitbookBlock: convertTag,
+  gitbookTag: convertTag,
+  html: convertHtml,
+  htmlElement: convertHtmlElement,
+  text: convertText,
+  strong: fixMalformedBold,
+  link: resolveLinks,
+  image: fixMarkdownImagePaths,
+  listItem: fixFiguresInLists,
+};
+
+/**
+ * Find the page title heading: the first H1 becomes the page title, and is
+ * removed (with its line break) when it opens the page
+ *
+ * @returns {{ titleHeading: object|undefined, bodyStart: number }} Offset where the rendered body starts
+ */
+function findTitleHeading(tree, body) {
+  const titleHeading = tree.children.find((node) => node.type === 'heading' && node.depth === 1);
+  let bodyStart = 0;
+
+  if (titleHeading && titleHeading === tree.children[0]) {
+    bodyStart = titleHeading.position.end.offset;
+    if (body[bodyStart] === '\n') bodyStart++;
+  }
+
+  return { titleHeading, bodyStart };
+}
+
+/**
+ * Create the context converters share while rendering one page
+ *
+ * @param {string} source - Page body (markdown without frontmatter)
+ * @param {string} filePath - Path relative to the source root
+ * @param {ConvertOptions & { lineOffset?: number }} [options] - lineOffset: lines of frontmatter before the body
+ * @returns {ConvertContext}
+ */
+export function createContext(source, filePath, options = {}) {
+  return {
+    source,
+    place: location(source),
+    lineOffset: options.lineOffset ?? 0,
+    filePath,
+    components: new Set(),
+    imports: new Set(),
+    links: [],
+    assets: [],
+    warnings: [],
+    // Imported images: asset path → import name
+    images: new Map(),
+    assetExists: (assetPath) => !options.assets || options.assets.has(assetPath),
+    resolveUrl: createUrlResolver(filePath, options.anchorMaps, options.basePath),
+    converters: createConverterRegistry(options.converters),
+    readGitHubFile: options.readGitHubFile ?? (() => null),
+  };
+}
+
+/**
+ * Convert a single GitBook markdown page to Starlight MDX
+ *
+ * @param {string} content - GitBook markdown, with frontmatter
+ * @param {string} filePath - Path relative to the source root, e.g. "documentation/getting-started/README.md"
+ * @param {ConvertOptions} [options] - Data collected from the other pages
+ * @returns {ConvertResult}
+ * @throws {GitBookSyntaxError} On unclosed or mismatched GitBook block tags
+ */
+export function convertFile(content, filePath, options = {}) {
+  const { frontmatter, body, lineOffset } = splitFrontmatter(content);
+  const tree = parseGitBook(body, { filePath, lineOffset });
+  const ctx = createContext(body, filePath, { ...options, lineOffset });
+
+  const { titleHeading, bodyStart } = findTitleHeading(tree, body);
+
+  const renderedBody = renderSource(tree, ctx, bodyStart, body.length);
+  const title = titleHeading ? toString(titleHeading).trim() : null;
+  let result = processFrontmatter(frontmatter, renderedBody, filePath, title, ctx);
+  result = addImports(result, ctx.components,
+                      [...ctx.imports, ...imageImports(ctx.images, filePath, options.imagesDir)]);
+
+  return {
+    content: result,
+    hidden: parseFrontmatter(frontmatter, filePath).hidden === true,
+    anchors: collectAnchors(tree, bodyStart),
+    links: ctx.links,
+    assets: ctx.assets,
+    warnings: ctx.warnings,
+    lineMap: buildLineMap(result, renderedBody, body.slice(bodyStart),
+                          lineOffset + lineCount(body.slice(0, bodyStart))),
+  };
+}
+
+/**
+ * Map each line of a converted page back to the GitBook source line it came from.
+ * Converters rewrite nodes in place and copy everything else, so the rendered
+ * body lines up with the source apart from the lines converters changed.
+ * Lines are compared without indentation (blocks in steps are re-indented):
+ * unchanged lines map to themselves, and a changed line maps to the replaced
+ * source line it contains ("### Title" in "1. ### Title"), or to the one at
+ * the same relative position ({% hint %} → <Aside>, {% endhint %} → </Aside>).
+ * Blank lines, frontmatter and imports map to the line before them.
+ *
+ * @param {string} content - Converted page
+ * @param {string} renderedBody - The body part of content
+ * @param {string} sourceBody - The source it was rendered from
+ * @param {number} firstLine - Source line sourceBody starts on
+ * @returns {number[]} Source line of each line of content
+ */
+function buildLineMap(content, renderedBody, sourceBody, firstLine) {
+  const nonBlankLines = (text, lineOf) => text.split('\n')
+    .map((line, index) => ({ text: line.trim(), line: lineOf(index) }))
+    .filter(({ text }) => text);
+
+  const sourceLines = nonBlankLines(sourceBody, (index) => firstLine + index);
+  const outputLines = nonBlankLines(renderedBody, (index) => index);
+  const bodyMap = [];
+  let sourceIndex = 0;
+  // Source lines removed right before added ones are the lines those replace
+  let replaced = [];
+
+  for (const change of diffArrays(sourceLines.map(({ text }) => text), outputLines.map(({ text }) => text))) {
+    const changed = outputLines.splice(0, change.removed ? 0 : change.count);
+
+    if (change.removed) {
+      replaced = sourceLines.slice(sourceIndex, sourceIndex + change.count);
+    } else if (change.added) {
+      changed.forEach(({ text, line }, i) => {
+        const match = replaced.find((source) => text.includes(source.text) || source.text.includes(text))
+          ?? replaced[Math.round(i * (replaced.length - 1) / Math.max(changed.length - 1, 1))];
+        bodyMap[line] = match?.line;
+      });
+    } else {
+      changed.forEach(({ line }, i) => { bodyMap[line] = sourceLines[sourceIndex + i].line; });
+    }
+
+    if (!change.added) sourceIndex += change.count;
+    if (!change.removed) replaced = [];
+  }
+
+  const lineMap = new Array(lineCount(content.slice(0, content.length - renderedBody.length)) - 1).fill(1);
+  for (let index = 0; index < lineCount(renderedBody); index++) {
+    lineMap.push(bodyMap[index] ?? lineMap[lineMap.length - 1] ?? firstLine);
+  }
+  return lineMap;
+}
+
+function lineCount(text) {
+  return text.split('\n').length;
+}
+
+/**
+ * Collect the heading anchors Starlight will generate for a page
+ */
+function collectAnchors(tree, bodyStart) {
+  const slugger = new GithubSlugger();
+  const anchors = new Set();
+
+  visit(tree, 'heading', (node, index, parent) => {
+    if (node.position.start.offset < bodyStart || isHintTitle(node, parent)) return;
+    anchors.add(slugger.slug(toString(node, { includeHtml: false })));
+  });
+
+  return anchors;
+}
+
+/**
+ * Whether a heading is the #### title of a hint, which convertHints turns
+ * into the <Aside> title rather than a heading
+ */
+function isHintTitle(node, parent) {
+  return node.depth === 4 && isBlock(parent, 'hint') && parent.children[0] === node;
+}
+
+/**
+ * Map the anchors GitBook generated for a page to the Starlight heading
+ * anchor each one ends up under. GitBook anchors are heading slugs, tab
+ * titles and custom <a id="..."> anchors. An empty target means the top of
+ * the page.
+ *
+ * @returns {{ anchorMap: Map<string, string>, unresolved: string[] }}
+ *   unresolved lists tab and <a id> anchors that are not under any heading
+ */
+function buildAnchorMap(tree, bodyStart) {
+  const gitbookSlugger = new GithubSlugger();
+  const starlightSlugger = new GithubSlugger();
+  const anchorMap = new Map();
+  const unresolved = [];
+  let currentAnchor = '';
+
+  const addAnchor = (anchor, label) => {
+    if (!anchor || anchorMap.has(anchor)) return;
+    anchorMap.set(anchor, currentAnchor);
+    if (!currentAnchor) unresolved.push(`${label} (#${anchor})`);
+  };
+
+  visit(tree, (node, index, parent) => {
+    if (node.type === 'heading') {
+      const text = toString(node, { includeHtml: false });
+      // The title heading is removed; links to it go to the top of the page.
+      // A hint title isn't a heading in Starlight; links to it go to the section it's in.
+      if (node.position.start.offset >= bodyStart && !isHintTitle(node, parent)) {
+        currentAnchor = starlightSlugger.slug(text);
+      }
+      anchorMap.set(gitbookSlugger.slug(text), currentAnchor);
+    } else if (isBlock(node, 'tab')) {
+      const title = node.attributes.title ?? '';
+      addAnchor(slug(title), `tab "${title}"`);
+    } else if (node.type === 'html' || node.type === 'htmlElement') {
+      const html = node.type === 'html' ? node.value : node.open.value;
+      for (const [, id] of html.matchAll(/\bid="([^"]+)"/g)) {
+        addAnchor(id, `<a id="${id}">`);
+      }
+    }
+  });
+
+  return { anchorMap, unresolved };
+}
+
+/**
+ * First pass over a page, before any page is converted: collect what other
+ * pages need to link to it
+ *
+ * @param {string} content - GitBook markdown, with frontmatter
+ * @param {string} filePath - Path relative to the source root
+ * @returns {{ anchorMap: Map<string, string>, unresolved: string[] }} The page's GitBook anchors mapped to
+ *   Starlight heading anchors (pass anchor maps of all pages to convertFile), and anchors not under any heading
+ * @throws {GitBookSyntaxError} On unclosed or mismatched GitBook block tags
+ */
+export function scanPage(content, filePath) {
+  const { body, lineOffset } = splitFrontmatter(content);
+  const tree = parseGitBook(body, { filePath, lineOffset });
+  const { bodyStart } = findTitleHeading(tree, body);
+  const { anchorMap, unresolved } = buildAnchorMap(tree, bodyStart);
+
+  return { anchorMap, unresolved };
+}
+
+/**
+ * Get the output path of a page: README.md becomes index.mdx for proper routing
+ */
+export function outputPathFor(relPath) {
+  if (path.basename(relPath).toLowerCase() === 'readme.md') {
+    return path.join(path.dirname(relPath), 'index.mdx');
+  }
+  return relPath.replace(/\.md$/, '.mdx');
+}
@@ -0,0 +1,353 @@
+/**
+ * GitBook Markdown Parser
+ * Parses GitBook markdown into an mdast syntax tree where {% ... %} tags are
+ * real nodes and paired tags become nested block nodes
+ *
+ * Node types added on top of mdast:
+ * - gitbookTag:   a single {% name attr="..." %} line that has no matching end tag
+ * - gitbookBlock: {% name %} ... {% endname %} with the nodes in between as children
+ * - htmlElement:  an inline <tag>...</tag> pair with the phrasing nodes in between
+ */
+
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { gfm } from 'micromark-extension-gfm';
+import { markdownLineEnding, markdownSpace } from 'micromark-util-character';
+import { location } from 'vfile-location';
+
+// Parents whose children are phrasing content (inline html can be paired there)
+const PHRASING_PARENTS = new Set([
+  'paragraph', 'heading', 'tableCell', 'emphasis', 'strong', 'delete', 'link', 'linkReference',
+]);
+
+// HTML elements that never have a closing tag
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'source', 'track', 'wbr']);
+
+// A line holding nothing but a GitBook tag
+const TAG_LINE_REGEX = /^[ \t]*\{%.*%\}[ \t]*$/;
+
+// Tags GitBook always closes with a matching {% endname %}
+// Others ({% embed %}, {% file %}, ...) may stand alone or wrap a caption
+const CONTAINER_TAGS = new Set([
+  'hint', 'tabs', 'tab', 'stepper', 'step', 'content-ref', 'code', 'columns', 'column',
+  'swagger', 'swagger-description', 'swagger-parameter', 'swagger-response', 'updates', 'update',
+]);
+
+/**
+ * Unclosed or mismatched GitBook tags, located in the source file
+ */
+export class GitBookSyntaxError extends Error {
+  constructor(reason, point, options = {}) {
+    const file = options.filePath || '<input>';
+    const line = point.line + (options.lineOffset || 0);
+    super(`${file}:${line}:${point.column} ${reason}`);
+    this.name = 'GitBookSyntaxError';
+    this.reason = reason;
+    this.file = file;
+    this.line = line;
+    this.column = point.column;
+  }
+}
+
+// ============================================================================
+// TAG SYNTAX
+// ============================================================================
+
+/**
+ * micromark extension: a {% ... %} tag on its own line is a flow construct.
+ * It can interrupt paragraphs, so `text\n{% endhint %}` closes the paragraph.
+ */
+const gitbookTagConstruct = { name: 'gitbookTag', tokenize: tokenizeGitbookTag };
+
+function gitbookTagSyntax() {
+  return { flow: { 123: gitbookTagConstruct } }; // {
+}
+
+function tokenizeGitbookTag(effects, ok, nok) {
+  return start;
+
+  function start(code) {
+    effects.enter('gitbookTag');
+    effects.consume(code);
+    return open;
+  }
+
+  function open(code) {
+    if (code !== 37) return nok(code); // %
+    effects.consume(code);
+    return inside;
+  }
+
+  function inside(code) {
+    if (code === null || markdownLineEnding(code)) return nok(code);
+    effects.consume(code);
+    return code === 37 ? percent : inside;
+  }
+
+  function percent(code) {
+    if (code !== 125) return inside(code); // }
+    effects.consume(code);
+    return after;
+  }
+
+  function after(code) {
+    if (markdownSpace(code)) {
+      effects.consume(code);
+      return after;
+    }
+    if (code === null || markdownLineEnding(code)) {
+      effects.exit('gitbookTag');
+      return ok(code);
+    }
+    return nok(code);
+  }
+}
+
+const gitbookTagFromMarkdown = {
+  enter: {
+    gitbookTag(token) {
+      this.enter({ type: 'gitbookTag', name: '', attributes: {}, raw: '' }, token);
+    },
+  },
+  exit: {
+    gitbookTag(token) {
+      const node = this.stack[this.stack.length - 1];
+      Object.assign(node, parseTag(this.sliceSerialize(token)));
+      this.exit(token);
+    },
+  },
+};
+
+/**
+ * Parse the text of a tag: {% name key="value" key2='value' key3=value %}
+ */
+export function parseTag(raw) {
+  const inner = raw.trim().replace(/^\{%\s*/, '').replace(/\s*%\}$/, '');
+  const [, name, rest] = inner.match(/^(\S*)\s*([\s\S]*)$/);
+
+  const attributes = {};
+  const attrRegex = /([\w@/-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+  let attrMatch;
+
+  while ((attrMatch = attrRegex.exec(rest)) !== null) {
+    attributes[attrMatch[1]] = attrMatch[2] ?? attrMatch[3] ?? attrMatch[4];
+  }
+
+  return { raw: raw.trim(), name, attributes };
+}
+
+// ============================================================================
+// TREE PASSES
+// ============================================================================
+
+/**
+ * HTML blocks run until the next blank line, so a tag written directly after
+ * <figure>...</figure> ends up inside the html node. Split such tag lines
+ * back out into gitbookTag nodes.
+ */
+function splitTagsFromHtml(node, source, place) {
+  if (!node.children) return;
+
+  const children = [];
+
+  for (const child of node.children) {
+    splitTagsFromHtml(child, source, place);
+
+    const isFlowHtml = child.type === 'html' && !PHRASING_PARENTS.has(node.type);
+    if (!isFlowHtml || !child.value.includes('{%')) {
+      children.push(child);
+      continue;
+    }
+
+    const start = child.position.start.offset;
+    const end = child.position.end.offset;
+    const lines = source.slice(start, end).split('\n');
+    let offset = start;
+    let runStart = null;
+
+    const flushRun = (runEnd) => {
+      if (runStart === null) return;
+      const value = source.slice(runStart, runEnd);
+      children.push({ type: 'html', value, position: positionFromOffsets(place, runStart, runEnd) });
+      runStart = null;
+    };
+
+    for (const line of lines) {
+      const lineEnd = offset + line.length;
+      if (TAG_LINE_REGEX.test(line)) {
+        flushRun(offset - 1);
+        const tagStart = offset + line.search(/\S/);
+        children.push({
+          type: 'gitbookTag',
+          ...parseTag(line),
+          position: positionFromOffsets(place, tagStart, lineEnd),
+        });
+      } else if (runStart === null) {
+        runStart = offset + line.search(/\S|$/);
+      }
+      offset = lineEnd + 1;
+    }
+    flushRun(end);
+  }
+
+  node.children = children;
+}
+
+/**
+ * Pair {% name %} with {% endname %} among siblings, turning everything
+ * between them into the children of a gitbookBlock node. Tags are matched
+ * as a stack, so blocks nest to any depth (hints in tabs in steps, ...).
+ * Tags without a matching end tag stay standalone gitbookTag nodes, unless
+ * GitBook always closes them, which is an error.
+ */
+function nestBlocks(node, options) {
+  if (!node.children) return;
+
+  node.children.forEach((child) => nestBlocks(child, options));
+
+  const stack = [{ tag: null, children: [] }];
+  const fail = (reason, tag) => {
+    throw new GitBookSyntaxError(reason, tag.position.start, options);
+  };
+
+  // Unwind a frame whose tag never got closed: keep the tag standalone
+  const flattenFrame = (frame, closingTag) => {
+    const { tag } = frame;
+    if (CONTAINER_TAGS.has(tag.name)) {
+      const before = closingTag
+        ? ` before ${closingTag.raw} on line ${closingTag.position.start.line + (options.lineOffset || 0)}`
+        : node.type === 'root' ? '' : ' (the end tag must be at the same list/quote level as the opening tag)';
+      fail(`${tag.raw} is not closed with {% end${tag.name} %}${before}`, tag);
+    }
+    stack[stack.length - 1].children.push(tag, ...frame.children);
+  };
+
+  for (const child of node.children) {
+    if (child.type !== 'gitbookTag') {
+      stack[stack.length - 1].children.push(child);
+      continue;
+    }
+
+    if (!child.name.startsWith('end')) {
+      stack.push({ tag: child, children: [] });
+      continue;
+    }
+
+    const name = child.name.slice('end'.length);
+    const frameIndex = stack.findLastIndex((frame) => frame.tag?.name === name);
+
+    if (frameIndex === -1) {
+      fail(`${child.raw} has no matching {% ${name} %}`, child);
+    }
+
+    while (stack.length - 1 > frameIndex) {
+      flattenFrame(stack.pop(), child);
+    }
+
+    const frame = stack.pop();
+    stack[stack.length - 1].children.push({
+      type: 'gitbookBlock',
+      name,
+      attributes: frame.tag.attributes,
+      open: frame.tag,
+      close: child,
+      children: frame.children,
+      position: { start: frame.tag.position.start, end: child.position.end },
+    });
+  }
+
+  while (stack.length > 1) {
+    flattenFrame(stack.pop(), null);
+  }
+
+  node.children = stack[0].children;
+}
+
+/**
+ * Pair inline <tag> and </tag> html nodes into htmlElement nodes
+ */
+function groupInlineHtml(node) {
+  if (!node.children) return;
+
+  node.children.forEach(groupInlineHtml);
+  if (!PHRASING_PARENTS.has(node.type)) return;
+
+  const stack = [{ open: null, children: [] }];
+
+  const flattenFrame = (frame) => {
+    stack[stack.length - 1].children.push(frame.open, ...frame.children);
+  };
+
+  for (const child of node.children) {
+    const openMatch = child.type === 'html' && child.value.match(/^<([a-zA-Z][\w-]*)(\s[^>]*)?>$/);
+    const closeMatch = child.type === 'html' && child.value.match(/^<\/([a-zA-Z][\w-]*)\s*>$/);
+
+    if (openMatch && !child.value.endsWith('/>') && !VOID_ELEMENTS.has(openMatch[1].toLowerCase())) {
+      stack.push({ open: child, tagName: openMatch[1].toLowerCase(), children: [] });
+      continue;
+    }
+
+    if (closeMatch) {
+      const tagName = closeMatch[1].toLowerCase();
+      const frameIndex = stack.findLastIndex((frame) => frame.tagName === tagName);
+
+      if (frameIndex !== -1) {
+        while (stack.length - 1 > frameIndex) {
+          flattenFrame(stack.pop());
+        }
+        const frame = stack.pop();
+        stack[stack.length - 1].children.push({
+          type: 'htmlElement',
+          tagName,
+          open: frame.open,
+          close: child,
+          children: frame.children,
+          position: { start: frame.open.position.start, end: child.position.end },
+        });
+        continue;
+      }
+    }
+
+    stack[stack.length - 1].children.push(child);
+  }
+
+  while (stack.length > 1) {
+    flattenFrame(stack.pop());
+  }
+
+  node.children = stack[0].children;
+}
+
+function positionFromOffsets(place, start, end) {
+  return {
+    start: { ...place.toPoint(start), offset: start },
+    end: { ...place.toPoint(end), offset: end },
+  };
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parse GitBook markdown (without frontmatter) into an mdast tree
+ * with gitbookTag, gitbookBlock and htmlElement nodes
+ *
+ * @param {string} source - Markdown body
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Source file, used in error messages
+ * @param {number} [options.lineOffset] - Lines before the body (frontmatter), added to error line numbers
+ * @throws {GitBookSyntaxError} On unclosed or mismatched block tags
+ */
+export function parseGitBook(source, options = {}) {
+  const tree = fromMarkdown(source, {
+    extensions: [gfm(), gitbookTagSyntax()],
+    mdastExtensions: [gfmFromMarkdown(), gitbookTagFromMarkdown],
+  });
+
+  splitTagsFromHtml(tree, source, location(source));
+  nestBlocks(tree, options);
+  groupInlineHtml(tree);
+
+  return tree;
+}
@@ -0,0 +1,78 @@
+/**
+ * GitHub Files
+ * Reads the files that {% @github-files/github-code-block url="..." %} embeds
+ * show from local copies of their repositories, so conversion and builds
+ * never depend on GitHub (see githubRepos and githubCacheDir in convert.config.js)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// https://github.com/<owner>/<repo>/blob/<ref>/<path>#L10-L20
+const BLOB_URL_REGEX = /^https?:\/\/github\.com\/([^/]+)\/([^/]+)\/blob\/([^/]+)\/([^?#]+)(?:\?[^#]*)?(?:#L(\d+)(?:-L(\d+))?)?$/i;
+
+/**
+ * @typedef {object} GitHubFile
+ * @property {string} owner
+ * @property {string} repo
+ * @property {string} ref - Branch, tag or commit in the URL
+ * @property {string} path - File path in the repository
+ * @property {number} [startLine] - First line of the #L10-L20 range, if any
+ * @property {number} [endLine] - Last line of the range (startLine when it's a single line)
+ */
+
+/**
+ * Parse a GitHub file URL
+ *
+ * @param {string} url
+ * @returns {GitHubFile|null} null when the URL isn't a file on github.com
+ */
+export function parseGitHubFileUrl(url) {
+  const match = url.match(BLOB_URL_REGEX);
+  if (!match) return null;
+
+  const [, owner, repo, ref, filePath, start, end] = match;
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(filePath);
+  } catch {
+    // Malformed escape, e.g. "%zz.js"
+    return null;
+  }
+
+  return {
+    owner,
+    repo,
+    ref,
+    path: decodedPath,
+    ...(start && { startLine: Number(start), endLine: Number(end ?? start) }),
+  };
+}
+
+/**
+ * Create the function the converter reads GitHub files with. The cache
+ * (<cacheDir>/<owner>/<repo>/<ref>/<path>) is tried first, since it matches
+ * the ref in the URL, then the checkout of the repository as it is.
+ *
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.repos] - Checkout directories by "owner/repo"
+ * @param {string} [options.cacheDir]
+ * @returns {(file: GitHubFile) => string|null} File content, or null when there is no local copy
+ */
+export function createGitHubFileReader({ repos = {}, cacheDir } = {}) {
+  const checkouts = new Map(Object.entries(repos).map(([name, dir]) => [name.toLowerCase(), dir]));
+
+  return (file) => {
+    // Stay inside the repository
+    if (file.path.split('/').includes('..')) return null;
+
+    const candidates = [];
+    if (cacheDir) candidates.push(path.join(cacheDir, file.owner, file.repo, file.ref, file.path));
+
+    const checkout = checkouts.get(`${file.owner}/${file.repo}`.toLowerCase());
+    if (checkout) candidates.push(path.join(checkout, file.path));
+
+    const found = candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    return found ? fs.readFileSync(found, 'utf-8') : null;
+  };
+}
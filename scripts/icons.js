@@ -0,0 +1,106 @@
+/**
+ * Page Icons
+ * Maps the Font Awesome icons GitBook pages can have (`icon:` in the
+ * frontmatter) to Starlight's built-in icons, which the sidebar and page
+ * title components render (see src/components/)
+ */
+
+/**
+ * Font Awesome name → Starlight icon name
+ * (https://starlight.astro.build/reference/icons/#all-icons)
+ */
+export const GITBOOK_ICONS = {
+  // Navigation
+  'arrow-right': 'right-arrow',
+  'arrow-left': 'left-arrow',
+  'arrow-up': 'up-arrow',
+  'arrow-down': 'down-arrow',
+  'chevron-right': 'right-caret',
+  'chevron-left': 'left-caret',
+  'chevron-up': 'up-caret',
+  'chevron-down': 'down-caret',
+  'angle-right': 'right-caret',
+  'angle-left': 'left-caret',
+  'angle-up': 'up-caret',
+  'angle-down': 'down-caret',
+  'arrow-up-right-from-square': 'external',
+  'square-arrow-up-right': 'external',
+  bars: 'bars',
+  list: 'list-format',
+  'list-ul': 'list-format',
+  shuffle: 'random',
+
+  // Documents and editing
+  book: 'open-book',
+  'book-open': 'open-book',
+  'book-bookmark': 'open-book',
+  file: 'document',
+  'file-lines': 'document',
+  'file-code': 'document',
+  'file-circle-plus': 'add-document',
+  pen: 'pen',
+  'pen-to-square': 'pencil',
+  pencil: 'pencil',
+  download: 'download',
+  'cloud-arrow-down': 'cloud-download',
+  'magnifying-glass': 'magnifier',
+  language: 'translate',
+
+  // Status
+  info: 'information',
+  'circle-info': 'information',
+  'triangle-exclamation': 'warning',
+  'circle-exclamation': 'warning',
+  'circle-xmark': 'error',
+  xmark: 'close',
+  check: 'approve-check',
+  'circle-check': 'approve-check-circle',
+
+  // Things
+  rocket: 'rocket',
+  'rocket-launch': 'rocket',
+  star: 'star',
+  heart: 'heart',
+  'puzzle-piece': 'puzzle',
+  gear: 'setting',
+  gears: 'setting',
+  sliders: 'setting',
+  laptop: 'laptop',
+  'laptop-code': 'laptop',
+  moon: 'moon',
+  sun: 'sun',
+  comment: 'comment',
+  message: 'comment',
+  comments: 'comment-alt',
+  envelope: 'email',
+  phone: 'phone',
+
+  // Brands
+  github: 'github',
+  gitlab: 'gitlab',
+  discord: 'discord',
+  slack: 'slack',
+  youtube: 'youtube',
+  linkedin: 'linkedin',
+  'x-twitter': 'twitter',
+  twitter: 'twitter',
+  instagram: 'instagram',
+  facebook: 'facebook',
+  reddit: 'reddit',
+  figma: 'figma',
+  apple: 'apple',
+  linux: 'linux',
+  npm: 'npm',
+  'node-js': 'node',
+};
+
+/**
+ * Starlight icon for a GitBook icon name
+ *
+ * @param {string} name - Font Awesome icon name, with or without the "fa-" prefix
+ * @returns {string|null} Starlight icon name, or null when there is no equivalent
+ */
+export function starlightIcon(name) {
+  const key = String(name).trim().toLowerCase().replace(/^fa-/, '');
+  return Object.hasOwn(GITBOOK_ICONS, key) ? GITBOOK_ICONS[key] : null;
+}
@@ -0,0 +1,137 @@
+/**
+ * Unconverted Syntax Report
+ * Scans converted pages for GitBook syntax no converter handled: leftover
+ * {% ... %} tags, GitBook data-* HTML attributes and raw HTML entities.
+ * Grouped by construct, it shows which converters are worth writing next.
+ */
+
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { mdxFromMarkdown } from 'mdast-util-mdx';
+import { gfm } from 'micromark-extension-gfm';
+import { mdxjs } from 'micromark-extension-mdxjs';
+import { visit } from 'unist-util-visit';
+import { location } from 'vfile-location';
+
+// {% name ... %}; end tags are counted with their opening tag
+const TAG_REGEX = /\{%\s*([^\s%]+)[^\n]*?%\}/g;
+
+// data-* attributes GitBook writes on HTML elements (<table data-view="cards">, <img data-size="line">, ...)
+const HTML_TAG_REGEX = /<([a-zA-Z][\w-]*)\s[^<>]*>/g;
+const DATA_ATTRIBUTE_REGEX = /\sdata-([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+// Character references; &lt; &gt; &amp; are the usual way to write those characters and MDX decodes them
+const ENTITY_REGEX = /&(#x[0-9a-f]+|#\d+|[a-z]\w*);/gi;
+const PLAIN_ENTITIES = new Set(['lt', 'gt', 'amp']);
+
+/**
+ * Find GitBook syntax left in a converted page, outside code
+ *
+ * @param {string} content - Converted MDX page
+ * @returns {Array<{construct: string, line: number}>} Leftovers, with their line in content
+ */
+export function findLeftovers(content) {
+  const place = location(content);
+  const codeRanges = findCodeRanges(content);
+  const leftovers = [];
+
+  const collect = (regex, toConstruct) => {
+    for (const match of content.matchAll(regex)) {
+      if (codeRanges.some(([start, end]) => match.index >= start && match.index < end)) continue;
+
+      for (const construct of [toConstruct(match)].flat()) {
+        if (construct) leftovers.push({ construct, line: place.toPoint(match.index).line });
+      }
+    }
+  };
+
+  collect(TAG_REGEX, ([, name]) => (name.startsWith('end') ? null : `{% ${name} %}`));
+
+  collect(HTML_TAG_REGEX, ([tag, tagName]) => [...tag.matchAll(DATA_ATTRIBUTE_REGEX)].map(([, name, ...values]) => {
+    // Views are told apart by value (data-view="cards" is converted, others aren't)
+    const value = name === 'view' ? `="${values.find((v) => v !== undefined) ?? ''}"` : '';
+    return `<${tagName.toLowerCase()} data-${name}${value}>`;
+  }));
+
+  collect(ENTITY_REGEX, ([entity, name]) => (PLAIN_ENTITIES.has(name.toLowerCase()) ? null : entity));
+
+  return leftovers;
+}
+
+/**
+ * Offsets of code blocks and inline code, where GitBook syntax is content
+ */
+function findCodeRanges(content) {
+  const tree = parseMdx(content);
+  const ranges = [];
+
+  visit(tree, (node) => {
+    if (node.type === 'code' || node.type === 'inlineCode') {
+      ranges.push([node.position.start.offset, node.position.end.offset]);
+    }
+  });
+
+  // HTML code elements (<code>, <pre>) are written by GitBook and escapeInlineCode
+  for (const match of content.matchAll(/<(code|pre)[\s>][\s\S]*?<\/\1>/gi)) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  return ranges;
+}
+
+/**
+ * Parse a converted page as MDX, where a line with a JSX tag (<TabItem>,
+ * <Aside>) doesn't start an HTML block that hides the code after it
+ */
+function parseMdx(content) {
+  // Blank the frontmatter (keeping offsets), it isn't MDX
+  const body = content.replace(/^---\n[\s\S]*?\n---/, (frontmatter) => frontmatter.replace(/[^\n]/g, ' '));
+
+  try {
+    return fromMarkdown(body, {
+      extensions: [mdxjs(), gfm()],
+      mdastExtensions: [mdxFromMarkdown(), gfmFromMarkdown()],
+    });
+  } catch {
+    // Pages that don't compile (quarantined) are read as markdown without indented
+    // code, so indented JSX children aren't mistaken for it
+    return fromMarkdown(body, {
+      extensions: [gfm(), { disable: { null: ['codeIndented'] } }],
+      mdastExtensions: [gfmFromMarkdown()],
+    });
+  }
+}
+
+/**
+ * Print leftovers grouped by construct, most frequent first
+ *
+ * @param {Map<string, Array<{construct: string, line: number}>>} leftovers - By source path, with source lines
+ */
+export function printLeftoverReport(leftovers) {
+  const byConstruct = new Map();
+
+  for (const [sourcePath, found] of leftovers) {
+    for (const { construct, line } of found) {
+      if (!byConstruct.has(construct)) byConstruct.set(construct, []);
+      byConstruct.get(construct).push({ sourcePath, line });
+    }
+  }
+
+  if (byConstruct.size === 0) {
+    console.log('🧩 Unconverted syntax: none\n');
+    return;
+  }
+
+  const total = [...byConstruct.values()].reduce((sum, locations) => sum + locations.length, 0);
+  console.log(`🧩 Unconverted syntax: ${total} occurrence(s) of ${byConstruct.size} construct(s)\n`);
+
+  const sorted = [...byConstruct].sort(([a, x], [b, y]) => y.length - x.length || a.localeCompare(b));
+  for (const [construct, locations] of sorted) {
+    console.log(`   ${construct}  (${locations.length})`);
+    locations.sort((a, b) => a.sourcePath.localeCompare(b.sourcePath) || a.line - b.line);
+    for (const { sourcePath, line } of locations) {
+      console.log(`     ${sourcePath}:${line}`);
+    }
+    console.log('');
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Internal Link Check
+ * Verifies that converted links point at generated pages and at heading
+ * anchors that exist on those pages
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { toString } from 'mdast-util-to-string';
+import GithubSlugger from 'github-slugger';
+import { visit } from 'unist-util-visit';
+import { slugFromPath } from './sidebar.js';
+import { BASE_PATH } from '../site.config.mjs';
+
+/**
+ * Remove the site base path from a root-relative URL written with it
+ * ("/vectary-docs-site/documentation" → "/documentation")
+ *
+ * @param {string} url
+ * @param {string} [basePath] - Defaults to the site's (see site.config.mjs)
+ */
+export function stripBasePath(url, basePath = BASE_PATH) {
+  if (!basePath) return url;
+  if (url === basePath) return '/';
+  return url.startsWith(basePath + '/') ? url.slice(basePath.length) : url;
+}
+
+/**
+ * Decode a URL path or anchor, keeping it as it is when it isn't valid
+ * percent-encoding (a literal %, as in "50%-off")
+ *
+ * @param {string} value
+ */
+export function decodeUrlPart(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Check the internal links recorded while converting pages
+ *
+ * @param {Map<string, {sourcePath: string, anchors: Set<string>, links: Array}>} pages -
+ *   Converted pages keyed by slug
+ * @param {string} outputDir - Content directory, for pages that are not converted (homepage, FAQ, ...)
+ * @returns {Array<{sourcePath: string, line: number, href: string, reason: string}>} Broken links
+ */
+export function checkLinks(pages, outputDir) {
+  const targets = new Map(pages);
+
+  for (const [slug, filePath] of listContentPages(outputDir)) {
+    if (!targets.has(slug)) {
+      targets.set(slug, { filePath, anchors: null });
+    }
+  }
+
+  const brokenLinks = [];
+
+  for (const [slug, page] of pages) {
+    for (const link of page.links) {
+      const reason = checkHref(link.href, slug, targets);
+      if (reason) {
+        brokenLinks.push({ sourcePath: page.sourcePath, line: link.line, href: link.href, reason });
+      }
+    }
+  }
+
+  return brokenLinks;
+}
+
+/**
+ * Check a single resolved link, returning why it is broken (or null)
+ */
+function checkHref(href, currentSlug, targets) {
+  const [pathPart, anchor] = href.split('#');
+  let targetSlug = currentSlug;
+
+  if (pathPart) {
+    if (!pathPart.startsWith('/')) {
+      return 'relative link that does not point to a GitBook page';
+    }
+
+    targetSlug = decodeUrlPart(stripBasePath(pathPart)).replace(/^\/+|\/+$/g, '');
+
+    // Asset downloads are not pages
+    if (targetSlug.startsWith('assets/')) return null;
+
+    const target = targets.get(targetSlug);
+    // Hidden pages are built too, only unlisted
+    if (!target) return 'page not found';
+  }
+
+  if (anchor && !anchorsOf(targets.get(targetSlug)).has(decodeUrlPart(anchor))) {
+    return `anchor not found on ${targetSlug ? `/${targetSlug}` : 'the homepage'}`;
+  }
+
+  return null;
+}
+
+/**
+ * Heading anchors of a page; read from disk for pages that were not converted
+ */
+function anchorsOf(target) {
+  if (!target) return new Set();
+
+  if (!target.anchors) {
+    const content = fs.readFileSync(target.filePath, 'utf-8').replace(/^---\n[\s\S]*?\n---/, '');
+    const slugger = new GithubSlugger();
+    target.anchors = new Set();
+
+    visit(fromMarkdown(content), 'heading', (node) => {
+      target.anchors.add(slugger.slug(toString(node)));
+    });
+  }
+
+  return target.anchors;
+}
+
+/**
+ * List every .md/.mdx page in the content directory as [slug, filePath]
+ */
+function listContentPages(dir, relativePath = '') {
+  const pages = [];
+  if (!fs.existsSync(dir)) return pages;
+
+  for (const entry of fs.readdirSync(path.join(dir, relativePath), { withFileTypes: true })) {
+    const entryRelPath = path.join(relativePath, entry.name);
+
+    if (entry.isDirectory()) {
+      pages.push(...listContentPages(dir, entryRelPath));
+    } else if (/\.mdx?$/.test(entry.name)) {
+      pages.push([slugFromPath(entryRelPath), path.join(dir, entryRelPath)]);
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Print broken links grouped by source file, with source line numbers
+ */
+export function printLinkReport(brokenLinks) {
+  if (brokenLinks.length === 0) {
+    console.log('🔗 Link check: all internal links resolve\n');
+    return;
+  }
+
+  const byFile = new Map();
+  for (const link of brokenLinks) {
+    if (!byFile.has(link.sourcePath)) byFile.set(link.sourcePath, []);
+    byFile.get(link.sourcePath).push(link);
+  }
+
+  console.log(`🔗 Link check: ${brokenLinks.length} broken link(s) in ${byFile.size} file(s)\n`);
+
+  for (const [sourcePath, links] of [...byFile].sort(([a], [b]) => a.localeCompare(b))) {
+    console.log(`   ${sourcePath}`);
+    for (const link of links.sort((a, b) => a.line - b.line)) {
+      console.log(`     ${String(link.line).padStart(4)}  ${link.href}  → ${link.reason}`);
+    }
+    console.log('');
+  }
+}
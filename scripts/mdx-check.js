@@ -0,0 +1,55 @@
+/**
+ * MDX Compile Check
+ * Compiles converted pages with the MDX compiler, so MDX syntax errors (stray
+ * `<`, unclosed JSX, `{` in prose) are reported at conversion time, on the
+ * GitBook source line, instead of failing `astro build`
+ */
+
+import { compile } from '@mdx-js/mdx';
+import remarkGfm from 'remark-gfm';
+
+/**
+ * Compile a converted page
+ *
+ * @param {string} content - MDX page, with frontmatter
+ * @returns {Promise<{line: number, column: number, reason: string}|null>} Where the page fails to
+ *   compile (line and column in content), or null when it compiles
+ */
+export async function checkMdx(content) {
+  // Astro parses the frontmatter itself; blank it so line numbers don't move
+  const body = content.replace(/^---\n[\s\S]*?\n---/, (frontmatter) => frontmatter.replace(/[^\n]/g, ''));
+
+  try {
+    // Astro compiles MDX with GFM (tables, strikethrough, autolinks)
+    await compile(body, { remarkPlugins: [remarkGfm] });
+    return null;
+  } catch (error) {
+    // Some messages only carry the position in their text: "Expected a closing tag for `<div>` (3:1-3:6)"
+    const [, line = 1, column = 1] = String(error.reason ?? error.message).match(/\((\d+):(\d+)/) ?? [];
+    return {
+      line: error.line ?? Number(line),
+      column: error.column ?? Number(column),
+      reason: error.reason ?? error.message,
+    };
+  }
+}
+
+/**
+ * Print the pages that failed to compile and were quarantined
+ *
+ * @param {Map<string, {line: number, reason: string, quarantinePath: string}>} failures - By source path
+ * @param {string} quarantineDir - Shown so writers can find the generated files
+ */
+export function printMdxReport(failures, quarantineDir) {
+  if (failures.size === 0) {
+    console.log('🧪 MDX check: all pages compile\n');
+    return;
+  }
+
+  console.log(`🧪 MDX check: ${failures.size} page(s) do not compile and were moved to ${quarantineDir}\n`);
+
+  for (const [sourcePath, failure] of [...failures].sort(([a], [b]) => a.localeCompare(b))) {
+    console.log(`   ${sourcePath}:${failure.line}  ${failure.reason}`);
+  }
+  console.log('');
+}
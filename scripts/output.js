@@ -0,0 +1,134 @@
+/**
+ * Output Writer
+ * Every file the converter writes, copies or deletes goes through here. In a
+ * dry run (--dry-run, --check) nothing is touched and the changes that would
+ * be made are recorded instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * Create an output writer. Files whose content wouldn't change are left alone
+ * (so the dev server doesn't reload them) and aren't recorded.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Record changes without touching the file system
+ * @returns {{ dryRun: boolean, changes: Array<{filePath: string, status: string, before: Buffer|null, after: Buffer|null}>,
+ *   write: Function, copy: Function, remove: Function }}
+ */
+export function createOutput({ dryRun = false } = {}) {
+  const changes = [];
+
+  const record = (filePath, after) => {
+    const before = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    if (before && after && before.equals(after)) return false;
+
+    if (dryRun) {
+      changes.push({ filePath, status: !before ? 'created' : !after ? 'deleted' : 'changed', before, after });
+    }
+    return true;
+  };
+
+  return {
+    dryRun,
+    changes,
+
+    /**
+     * Write a text file
+     * @returns {boolean} Whether the file changed
+     */
+    write(filePath, content) {
+      if (!record(filePath, Buffer.from(content, 'utf-8'))) return false;
+
+      if (!dryRun) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content, 'utf-8');
+      }
+      return true;
+    },
+
+    /**
+     * Copy a file, skipping the comparison when the copy is newer than the source
+     * @returns {boolean} Whether the file changed
+     */
+    copy(sourcePath, filePath) {
+      if (isUpToDate(sourcePath, filePath)) return false;
+      if (!record(filePath, fs.readFileSync(sourcePath))) return false;
+
+      if (!dryRun) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.copyFileSync(sourcePath, filePath);
+      }
+      return true;
+    },
+
+    /**
+     * Delete a file
+     * @returns {boolean} Whether the file existed
+     */
+    remove(filePath) {
+      if (!fs.existsSync(filePath)) return false;
+
+      record(filePath, null);
+      if (!dryRun) {
+        fs.rmSync(filePath, { force: true });
+      }
+      return true;
+    },
+  };
+}
+
+function isUpToDate(sourcePath, outputPath) {
+  if (!fs.existsSync(outputPath)) return false;
+
+  const source = fs.statSync(sourcePath);
+  const output = fs.statSync(outputPath);
+  return source.size === output.size && source.mtimeMs <= output.mtimeMs;
+}
+
+/**
+ * Print the files a dry run would create, change or delete, optionally with a unified diff of each
+ *
+ * @param {Array} changes - output.changes
+ * @param {object} [options]
+ * @param {string} [options.root] - Paths are shown relative to this directory
+ * @param {boolean} [options.diff] - Print a unified diff per text file
+ */
+export function printChanges(changes, { root = process.cwd(), diff = false } = {}) {
+  if (changes.length === 0) {
+    console.log('📝 Dry run: converted output is up to date\n');
+    return;
+  }
+
+  const symbols = { created: '+', changed: '~', deleted: '-' };
+  const counts = Object.keys(symbols)
+    .map((status) => [status, changes.filter((change) => change.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`);
+
+  console.log(`📝 Dry run: ${changes.length} file(s) would change (${counts.join(', ')})\n`);
+
+  for (const change of [...changes].sort((a, b) => a.filePath.localeCompare(b.filePath))) {
+    const relativePath = path.relative(root, change.filePath).replace(/\\/g, '/');
+    console.log(`   ${symbols[change.status]} ${relativePath}`);
+
+    if (diff && !isBinary(change.before) && !isBinary(change.after)) {
+      const patch = createTwoFilesPatch(
+        change.before ? `a/${relativePath}` : '/dev/null',
+        change.after ? `b/${relativePath}` : '/dev/null',
+        change.before?.toString('utf-8') ?? '',
+        change.after?.toString('utf-8') ?? '',
+      );
+      // Drop the "===" separator line createTwoFilesPatch starts with
+      console.log(`\n${patch.split('\n').slice(1).join('\n')}`);
+    }
+  }
+
+  console.log('');
+}
+
+function isBinary(buffer) {
+  return buffer !== null && buffer.subarray(0, 8000).includes(0);
+}
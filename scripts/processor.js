@@ -0,0 +1,520 @@
+/**
+ * Directory Processor
+ * Converts a whole GitBook source directory (see converter.js for single
+ * pages): writes the pages, the sidebar and the assets they use, checks
+ * internal links, and keeps the output up to date in watch mode
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import picomatch from 'picomatch';
+import { GitBookSyntaxError } from './gitbook-parser.js';
+import { convertFile, createConverterRegistry, outputPathFor, scanPage } from './converter.js';
+import { slugFromPath, writeSidebar } from './sidebar.js';
+import { checkLinks, decodeUrlPart, printLinkReport, stripBasePath } from './links.js';
+import { listFiles, printAssetReport, syncAssets } from './assets.js';
+import { createOutput, printChanges } from './output.js';
+import { checkMdx, printMdxReport } from './mdx-check.js';
+import { findLeftovers, printLeftoverReport } from './leftovers.js';
+import { createGitHubFileReader } from './github-files.js';
+
+// Configured paths are relative to the repository root
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * @typedef {object} ProcessConfig
+ * @property {string} sourceDir - GitBook repository
+ * @property {string} outputDir - Starlight content directory
+ * @property {string} assetsSourceDir - GitBook assets, relative to sourceDir
+ * @property {string} assetsOutputDir - Where downloads and other assets are served from
+ * @property {string} imagesOutputDir - Where images are copied for Astro to optimize
+ * @property {string[]} excludeDirs - Folder names to skip
+ * @property {string[]} excludeFiles - File names to skip
+ * @property {string} sidebarOutput - Sidebar module imported by astro.config.mjs
+ * @property {string} quarantineDir - Where pages that don't compile as MDX are written instead
+ * @property {boolean} skipRootReadme - Skip the root README.md (the site has its own homepage)
+ * @property {string} [basePath] - Site base path, removed from absolute links (defaults to site.config.mjs)
+ * @property {import('./converter.js').CustomConverter[]} [converters] - Converters for custom tags
+ * @property {Record<string, string>} [githubRepos] - Local checkouts by "owner/repo", for GitHub code block embeds
+ * @property {string} [githubCacheDir] - Copies of GitHub files as <owner>/<repo>/<ref>/<path>, tried first
+ */
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Convert every page in the source directory, then write the sidebar, copy
+ * the assets the pages use and check internal links. Pages that don't compile
+ * as MDX are quarantined, and pages with GitBook syntax errors are left out,
+ * so the rest of the site still builds.
+ *
+ * @param {ProcessConfig} config - Paths are relative to the repository root
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only print what would be created, changed or deleted
+ * @param {boolean} [options.diff] - With dryRun, print a unified diff per file
+ * @param {boolean} [options.check] - Dry run, for comparing the output on disk with what conversion produces
+ * @param {string[]} [options.only] - Only convert pages matching these globs (relative to the source root).
+ *   The sidebar, stale pages and unused assets are left alone, since the other pages aren't converted.
+ * @returns {Promise<object>} Conversion state (paths, anchors, converted pages, output changes), reused by
+ *   watch mode, plus the link check, asset, syntax error and MDX reports and the unconverted syntax found
+ * @throws {Error} When the source directory doesn't exist (code ENOENT) or a custom converter is invalid
+ */
+export async function processDirectory(config, options = {}) {
+  const absoluteSourceDir = path.resolve(ROOT_DIR, config.sourceDir);
+  const absoluteOutputDir = path.resolve(ROOT_DIR, config.outputDir);
+
+  console.log(`\n📁 Source: ${absoluteSourceDir}`);
+  console.log(`📁 Output: ${absoluteOutputDir}\n`);
+
+  if (!fs.existsSync(absoluteSourceDir)) {
+    throw Object.assign(new Error(`Source directory not found: ${absoluteSourceDir}`), { code: 'ENOENT' });
+  }
+
+  // Fail once on a bad custom converter, rather than on every page
+  createConverterRegistry(config.converters);
+
+  const state = {
+    config,
+    sourceDir: absoluteSourceDir,
+    outputDir: absoluteOutputDir,
+    assetsSourceDir: path.join(absoluteSourceDir, config.assetsSourceDir),
+    // Used assets are copied to public/ for static serving, and images to src/ for optimizing
+    assetsOutputDir: path.resolve(ROOT_DIR, config.assetsOutputDir),
+    imagesOutputDir: path.resolve(ROOT_DIR, config.imagesOutputDir),
+    sidebarOutput: path.resolve(ROOT_DIR, config.sidebarOutput),
+    quarantineDir: path.resolve(ROOT_DIR, config.quarantineDir),
+    // Pages with unclosed or mismatched GitBook tags (not converted), by source path
+    syntaxErrors: new Map(),
+    // Pages that don't compile as MDX, by source path
+    mdxFailures: new Map(),
+    // GitBook syntax no converter handled, by source path (with source lines)
+    leftovers: new Map(),
+    // Only convert the pages selected with --only
+    isSelected: options.only?.length ? picomatch(options.only) : () => true,
+    site: { anchorMaps: new Map(), assets: new Set(), basePath: config.basePath, converters: config.converters },
+    pages: new Map(),
+    output: createOutput({ dryRun: options.dryRun || options.check }),
+  };
+
+  state.site.imagesDir = path.relative(absoluteOutputDir, state.imagesOutputDir);
+  // GitHub code block embeds are read from local copies, never fetched
+  state.site.readGitHubFile = createGitHubFileReader({
+    repos: Object.fromEntries(Object.entries(config.githubRepos ?? {})
+      .map(([name, dir]) => [name, path.resolve(ROOT_DIR, dir)])),
+    cacheDir: config.githubCacheDir && path.resolve(ROOT_DIR, config.githubCacheDir),
+  });
+  if (fs.existsSync(state.assetsSourceDir)) {
+    state.site.assets = new Set(listFiles(state.assetsSourceDir));
+  }
+
+  const sourcePages = listSourcePages(config, absoluteSourceDir);
+
+  // First pass: anchors of every page, so links to them can be remapped
+  for (const relPath of sourcePages) {
+    scanFile(state, relPath);
+  }
+
+  // Second pass: convert, collecting converted pages by slug
+  const selectedPages = sourcePages.filter((relPath) => state.isSelected(toPosix(relPath)));
+  for (const relPath of selectedPages) {
+    await processFile(state, relPath);
+  }
+
+  state.partial = selectedPages.length < sourcePages.length;
+  if (state.partial) {
+    console.log(`\n⏭️  Converted ${selectedPages.length} of ${sourcePages.length} page(s) (--only), ` +
+                'the sidebar and other pages are left as they are\n');
+  } else {
+    removeStalePages(state, sourcePages);
+    writeSidebar(path.join(absoluteSourceDir, 'SUMMARY.md'), state.sidebarOutput, state.pages, state.output);
+  }
+
+  // Copy the assets the pages use, reporting missing and unused ones
+  const assetReport = syncAssets(state.pages, state.assetsSourceDir, state.assetsOutputDir,
+                                 state.imagesOutputDir, state.output, { prune: !state.partial });
+  printAssetReport(assetReport);
+
+  // Check internal links against the generated pages and their headings
+  const brokenLinks = checkLinks(state.pages, absoluteOutputDir);
+  printLinkReport(brokenLinks);
+  printSyntaxErrorReport(state.syntaxErrors);
+  printMdxReport(state.mdxFailures, path.relative(ROOT_DIR, state.quarantineDir));
+  printLeftoverReport(state.leftovers);
+
+  if (state.output.dryRun) {
+    printChanges(state.output.changes, { root: ROOT_DIR, diff: options.diff });
+  }
+
+  return { ...state, brokenLinks, assetReport };
+}
+
+/**
+ * Delete converted pages whose source page no longer exists (renamed or removed in GitBook).
+ * Only folders the converter writes to are cleaned, so hand-written pages at the
+ * root of the output directory (index, faq, ...) are never touched.
+ */
+function removeStalePages(state, sourcePages) {
+  const expected = new Set(sourcePages.map((relPath) => outputPathFor(relPath).replace(/\\/g, '/')));
+  const folders = new Set([...expected].filter((file) => file.includes('/')).map((file) => file.split('/')[0]));
+
+  for (const folder of folders) {
+    const folderPath = path.join(state.outputDir, folder);
+    if (!fs.existsSync(folderPath)) continue;
+
+    for (const file of listFiles(folderPath)) {
+      const relPath = `${folder}/${file}`;
+      if (/\.mdx?$/.test(file) && !expected.has(relPath) && state.output.remove(path.join(folderPath, file))) {
+        if (!state.output.dryRun) console.log(`🗑️  ${relPath}`);
+      }
+    }
+  }
+
+  // Quarantined pages whose source page was removed
+  if (fs.existsSync(state.quarantineDir)) {
+    const quarantined = new Set([...state.mdxFailures.keys()]
+      .map((relPath) => outputPathFor(relPath).replace(/\\/g, '/')));
+    for (const file of listFiles(state.quarantineDir)) {
+      if (!quarantined.has(file)) state.output.remove(path.join(state.quarantineDir, file));
+    }
+  }
+}
+
+/**
+ * Collect the anchors of one page into state.site.anchorMaps
+ *
+ * @returns {boolean} Whether the page's anchors changed
+ */
+function scanFile(state, relPath) {
+  const slug = slugFromPath(relPath);
+  const previous = state.site.anchorMaps.get(slug);
+
+  try {
+    const { anchorMap, unresolved } = scanPage(fs.readFileSync(path.join(state.sourceDir, relPath), 'utf-8'), relPath);
+    state.site.anchorMaps.set(slug, anchorMap);
+
+    for (const anchor of unresolved) {
+      console.log(`⚠️  ${relPath}: ${anchor} is not under a heading, links to it go to the top of the page`);
+    }
+  } catch {
+    // Syntax errors are reported when the page is converted
+    return false;
+  }
+
+  const current = state.site.anchorMaps.get(slug);
+  return !previous || JSON.stringify([...previous]) !== JSON.stringify([...current]);
+}
+
+/**
+ * List the markdown pages to convert (paths relative to the source root),
+ * skipping excluded files and folders
+ */
+function listSourcePages(config, sourceBase, relativePath = '') {
+  const currentSource = path.join(sourceBase, relativePath);
+  const entries = fs.readdirSync(currentSource, { withFileTypes: true });
+  const sourcePages = [];
+
+  for (const entry of entries) {
+    const entryRelPath = path.join(relativePath, entry.name);
+
+    // Skip excluded directories
+    if (entry.isDirectory() && config.excludeDirs.includes(entry.name)) {
+      console.log(`⏭️  Skipping: ${entryRelPath}`);
+      continue;
+    }
+
+    // Skip excluded files
+    if (entry.isFile() && config.excludeFiles.includes(entry.name)) {
+      console.log(`⏭️  Skipping: ${entryRelPath}`);
+      continue;
+    }
+
+    // Skip .gitbook directory (assets are copied separately)
+    if (entry.name === '.gitbook') {
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      sourcePages.push(...listSourcePages(config, sourceBase, entryRelPath));
+    } else if (entry.isFile() && entry.name.endsWith('.md')) {
+      // Skip root README.md - we have a custom index.mdx for homepage
+      if (config.skipRootReadme && relativePath === '' && entry.name.toLowerCase() === 'readme.md') {
+        console.log(`⏭️  Skipping root: ${entry.name}`);
+        continue;
+      }
+
+      sourcePages.push(entryRelPath);
+    }
+  }
+
+  return sourcePages;
+}
+
+function toPosix(relPath) {
+  return relPath.split(path.sep).join('/');
+}
+
+/**
+ * Whether a path (relative to the source root) is a page to convert
+ */
+function isSourcePage(config, relPath) {
+  const segments = relPath.split(path.sep);
+  const fileName = segments[segments.length - 1];
+
+  if (!fileName.endsWith('.md') || config.excludeFiles.includes(fileName)) return false;
+  if (segments.some((segment) => config.excludeDirs.includes(segment) || segment === '.gitbook')) return false;
+  if (config.skipRootReadme && segments.length === 1 && fileName.toLowerCase() === 'readme.md') return false;
+  return true;
+}
+
+/**
+ * Convert one page and write it to the output directory, or to the
+ * quarantine directory when it doesn't compile as MDX. A page with GitBook
+ * syntax errors isn't written at all (and its previous output is removed).
+ */
+async function processFile(state, relPath) {
+  const sourcePath = path.join(state.sourceDir, relPath);
+  const outputPath = path.join(state.outputDir, outputPathFor(relPath));
+  const quarantinePath = path.join(state.quarantineDir, outputPathFor(relPath));
+
+  try {
+    const content = fs.readFileSync(sourcePath, 'utf-8');
+    const {
+      content: converted, hidden, anchors, links, assets, lineMap, warnings,
+    } = convertFile(content, relPath, state.site);
+    const failure = await checkMdx(converted);
+
+    for (const { line, message } of warnings) {
+      console.log(`⚠️  ${relPath}:${line} ${message}`);
+    }
+
+    const leftovers = findLeftovers(converted).map((leftover) => ({ ...leftover, line: lineMap[leftover.line - 1] }));
+    if (leftovers.length > 0) state.leftovers.set(relPath, leftovers);
+    else state.leftovers.delete(relPath);
+
+    state.syntaxErrors.delete(relPath);
+
+    if (failure) {
+      // Out of the content directory (and the sidebar) it can't break the build
+      state.output.write(quarantinePath, converted);
+      state.output.remove(outputPath);
+      state.pages.delete(slugFromPath(relPath));
+
+      const line = lineMap[failure.line - 1] ?? 1;
+      state.mdxFailures.set(relPath, { line, reason: failure.reason, quarantinePath });
+      console.error(`❌ ${relPath}:${line} does not compile as MDX: ${failure.reason} ` +
+                    `(${path.relative(ROOT_DIR, quarantinePath)}:${failure.line}:${failure.column})`);
+      return;
+    }
+
+    state.output.write(outputPath, converted);
+    state.output.remove(quarantinePath);
+    state.mdxFailures.delete(relPath);
+    state.syntaxErrors.delete(relPath);
+
+    state.pages.set(slugFromPath(relPath), { sourcePath: relPath, hidden, anchors, links, assets });
+
+    console.log(`✅ ${relPath}`);
+  } catch (error) {
+    if (error instanceof GitBookSyntaxError) {
+      // Nothing to write: drop the page's previous output rather than ship stale content
+      state.output.remove(outputPath);
+      state.output.remove(quarantinePath);
+      state.pages.delete(slugFromPath(relPath));
+      state.mdxFailures.delete(relPath);
+      state.leftovers.delete(relPath);
+
+      state.syntaxErrors.set(relPath, { line: error.line, reason: error.reason });
+      // Message already points at the source file and line
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error(`❌ Error processing ${relPath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Print the pages left out because of unclosed or mismatched GitBook tags
+ *
+ * @param {Map<string, {line: number, reason: string}>} errors - By source path
+ */
+function printSyntaxErrorReport(errors) {
+  if (errors.size === 0) {
+    console.log('🏷️  GitBook syntax: all pages parse\n');
+    return;
+  }
+
+  console.log(`🏷️  GitBook syntax: ${errors.size} page(s) have syntax errors and were left out of the site\n`);
+
+  for (const [sourcePath, error] of [...errors].sort(([a], [b]) => a.localeCompare(b))) {
+    console.log(`   ${sourcePath}:${error.line}  ${error.reason}`);
+  }
+  console.log('');
+}
+
+// ============================================================================
+// WATCH MODE
+// ============================================================================
+
+/**
+ * Apply a batch of source changes incrementally: only changed pages (and
+ * pages linking to anchors that moved) are reconverted, only new or changed
+ * assets are copied, and the sidebar is rewritten only when its content changes
+ *
+ * @param {object} state - Returned by processDirectory()
+ * @param {Map<string, string>} changes - Absolute path → chokidar event (add, change, unlink)
+ */
+async function applyChanges(state, changes) {
+  const changedPages = new Set();
+  const removedPages = new Set();
+  const movedAnchors = new Set();
+  let summaryChanged = false;
+  let assetsChanged = false;
+
+  for (const [filePath, event] of changes) {
+    const relPath = path.relative(state.sourceDir, filePath);
+
+    if (filePath.startsWith(state.assetsSourceDir + path.sep)) {
+      const assetPath = path.relative(state.assetsSourceDir, filePath).replace(/\\/g, '/');
+      assetsChanged = true;
+
+      // Pages using an image that appeared or disappeared import it or fall back to <img>
+      if (event !== 'change') {
+        if (event === 'unlink') state.site.assets.delete(assetPath);
+        else state.site.assets.add(assetPath);
+
+        for (const page of state.pages.values()) {
+          if (page.assets.some((asset) => asset.path === assetPath)) changedPages.add(page.sourcePath);
+        }
+      }
+      continue;
+    }
+
+    if (relPath === 'SUMMARY.md') {
+      summaryChanged = true;
+      continue;
+    }
+
+    if (!isSourcePage(state.config, relPath) || !state.isSelected(toPosix(relPath))) continue;
+
+    if (event === 'unlink') {
+      removedPages.add(relPath);
+    } else {
+      changedPages.add(relPath);
+      if (scanFile(state, relPath)) movedAnchors.add(slugFromPath(relPath));
+    }
+  }
+
+  for (const relPath of removedPages) {
+    const slug = slugFromPath(relPath);
+    state.output.remove(path.join(state.outputDir, outputPathFor(relPath)));
+    state.output.remove(path.join(state.quarantineDir, outputPathFor(relPath)));
+    state.mdxFailures.delete(relPath);
+    state.syntaxErrors.delete(relPath);
+    state.leftovers.delete(relPath);
+    state.pages.delete(slug);
+    state.site.anchorMaps.delete(slug);
+    console.log(`🗑️  ${relPath}`);
+  }
+
+  // Pages linking to a page whose anchors changed need their links remapped
+  for (const [slug, page] of state.pages) {
+    if (page.links.some((link) => movedAnchors.has(linkTargetSlug(link.href, slug)))) {
+      changedPages.add(page.sourcePath);
+    }
+  }
+
+  const sidebarBefore = sidebarKey(state.pages);
+  for (const relPath of changedPages) {
+    if (removedPages.has(relPath)) continue;
+    await processFile(state, relPath);
+  }
+
+  // The sidebar only depends on SUMMARY.md and which pages exist or are hidden
+  if (!state.partial && (summaryChanged || sidebarKey(state.pages) !== sidebarBefore)) {
+    writeSidebar(path.join(state.sourceDir, 'SUMMARY.md'), state.sidebarOutput, state.pages, state.output);
+  }
+
+  const pagesChanged = changedPages.size > 0 || removedPages.size > 0;
+
+  if (pagesChanged || assetsChanged) {
+    printAssetReport(syncAssets(state.pages, state.assetsSourceDir, state.assetsOutputDir,
+                                state.imagesOutputDir, state.output, { prune: !state.partial }));
+  }
+
+  if (pagesChanged) {
+    printLinkReport(checkLinks(state.pages, state.outputDir));
+    printSyntaxErrorReport(state.syntaxErrors);
+    printMdxReport(state.mdxFailures, path.relative(ROOT_DIR, state.quarantineDir));
+    printLeftoverReport(state.leftovers);
+  }
+}
+
+/**
+ * Slug a resolved link points at ("#anchor" points at the current page)
+ */
+function linkTargetSlug(href, currentSlug) {
+  const [pathPart] = href.split('#');
+  if (!pathPart) return currentSlug;
+  return decodeUrlPart(stripBasePath(pathPart)).replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * What the sidebar depends on: which pages exist and which are hidden
+ */
+function sidebarKey(pages) {
+  return JSON.stringify([...pages].map(([slug, page]) => [slug, page.hidden]).sort());
+}
+
+/**
+ * Watch the source directory and apply changes as they come in
+ */
+export async function watch(state) {
+  let chokidar;
+  try {
+    chokidar = await import('chokidar');
+  } catch {
+    console.log('⚠️  chokidar not installed. Run: npm install chokidar');
+    return;
+  }
+
+  const changes = new Map();
+  let timer = null;
+  // Batches are applied one at a time
+  let applying = Promise.resolve();
+
+  // Editors often write a file in several steps, so apply changes in batches
+  const queue = (event, filePath) => {
+    changes.set(filePath, event);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const batch = new Map(changes);
+      changes.clear();
+
+      applying = applying.then(async () => {
+        const started = Date.now();
+        console.log(`\n🔄 ${batch.size} change(s)`);
+        await applyChanges(state, batch);
+        console.log(`⏱️  Updated in ${Date.now() - started}ms`);
+      }).catch((error) => {
+        // Keep watching: the next batch gets another chance
+        console.error(`❌ Error applying changes: ${error.stack ?? error.message}`);
+      });
+    }, 50);
+  };
+
+  chokidar.default.watch(state.sourceDir, {
+    // Skip dot folders (.git, ...) except .gitbook, which holds the assets
+    ignored: (filePath) => {
+      const relPath = path.relative(state.sourceDir, filePath);
+      return relPath.split(path.sep).some((segment) =>
+        state.config.excludeDirs.includes(segment) || (segment.startsWith('.') && segment !== '.gitbook'));
+    },
+    ignoreInitial: true,
+    persistent: true,
+  })
+    .on('add', (filePath) => queue('add', filePath))
+    .on('change', (filePath) => queue('change', filePath))
+    .on('unlink', (filePath) => queue('unlink', filePath));
+}
@@ -0,0 +1,174 @@
+/**
+ * Sidebar Generator
+ * Builds the Starlight sidebar from GitBook's SUMMARY.md, so page order,
+ * grouping and labels match the GitBook table of contents
+ */
+
+import fs from 'fs';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { toString } from 'mdast-util-to-string';
+import { slug } from 'github-slugger';
+
+/**
+ * Get the Starlight slug of a page from its path relative to the source (or content) root
+ * ("documentation/getting-started/README.md" → "documentation/getting-started")
+ */
+export function slugFromPath(relativePath) {
+  const segments = relativePath.replace(/\\/g, '/').replace(/\.mdx?$/i, '').split('/');
+
+  // README.md (index.mdx once converted) is the index page of its folder
+  if (['readme', 'index'].includes(segments[segments.length - 1].toLowerCase())) {
+    segments.pop();
+  }
+
+  return segments.map((segment) => slug(segment)).join('/');
+}
+
+/**
+ * Parse SUMMARY.md into a tree of entries:
+ * { label, url, children } for links and { label, part: true, children } for "## Part" headings
+ */
+export function parseSummary(content) {
+  const tree = fromMarkdown(content);
+  const entries = [];
+  let part = null;
+
+  for (const node of tree.children) {
+    if (node.type === 'heading' && node.depth > 1) {
+      part = { label: toString(node).trim(), part: true, children: [] };
+      entries.push(part);
+    } else if (node.type === 'list') {
+      (part ? part.children : entries).push(...parseSummaryList(node));
+    }
+  }
+
+  return entries;
+}
+
+function parseSummaryList(list) {
+  return list.children.map((item) => {
+    const [paragraph, ...rest] = item.children;
+    const link = paragraph?.children?.find((child) => child.type === 'link');
+    const sublist = rest.find((child) => child.type === 'list');
+
+    return {
+      label: toString(link || paragraph || '').trim(),
+      url: link ? decodeSummaryUrl(link.url) : null,
+      children: sublist ? parseSummaryList(sublist) : [],
+    };
+  });
+}
+
+function decodeSummaryUrl(url) {
+  try {
+    return decodeURI(url);
+  } catch {
+    // A literal % in the file name ("50%-off.md")
+    return url;
+  }
+}
+
+/**
+ * Turn parsed SUMMARY entries into Starlight sidebar items
+ *
+ * @param {Array} entries - Output of parseSummary()
+ * @param {Map<string, {hidden: boolean}>} pages - Converted pages, keyed by slug
+ */
+export function buildSidebar(entries, pages) {
+  const items = [];
+
+  for (const entry of entries) {
+    if (entry.part) {
+      const partItems = buildSidebar(entry.children, pages);
+      if (partItems.length > 0) {
+        items.push({ label: entry.label, items: partItems });
+      }
+      continue;
+    }
+
+    const item = buildLinkItem(entry, pages);
+    const childItems = buildSidebar(entry.children, pages);
+
+    if (childItems.length === 0) {
+      if (item) items.push(item);
+      continue;
+    }
+
+    // A page with sub-pages becomes a group, with the page itself as "Overview"
+    // (data-overview: the group label shows the page icon, see src/components/SidebarSublist.astro)
+    const overview = item && { ...item, label: 'Overview', attrs: { 'data-overview': '' } };
+    items.push({
+      label: entry.label,
+      collapsed: true,
+      items: overview ? [overview, ...childItems] : childItems,
+    });
+  }
+
+  return items;
+}
+
+function buildLinkItem(entry, pages) {
+  if (!entry.url) return null;
+
+  // External links
+  if (/^[a-z]+:/i.test(entry.url)) {
+    return { label: entry.label, link: entry.url };
+  }
+
+  const [target, anchor] = entry.url.split('#');
+  const pageSlug = slugFromPath(target);
+
+  // Root README is replaced by the custom homepage
+  if (pageSlug === '') {
+    return { label: entry.label, slug: 'index' };
+  }
+
+  const page = pages.get(pageSlug);
+  if (!page) {
+    console.log(`⚠️  SUMMARY.md links to a page that was not converted: ${entry.url}`);
+    return null;
+  }
+
+  // GitBook hides these pages from the table of contents
+  if (page.hidden) return null;
+
+  // Root-relative: astro.config.mjs adds the base path to sidebar links
+  if (anchor) {
+    return { label: entry.label, link: `/${pageSlug}#${anchor}` };
+  }
+  return { label: entry.label, slug: pageSlug };
+}
+
+/**
+ * Generate the sidebar module imported by astro.config.mjs, with the hidden
+ * pages, which are also left out of the sitemap
+ *
+ * @param {object} output - Output writer (see output.js)
+ */
+export function writeSidebar(summaryPath, outputPath, pages, output) {
+  let sidebar;
+
+  if (fs.existsSync(summaryPath)) {
+    sidebar = buildSidebar(parseSummary(fs.readFileSync(summaryPath, 'utf-8')), pages);
+  } else {
+    // Let Starlight list every page instead
+    console.log('⚠️  No SUMMARY.md found, the sidebar will be autogenerated');
+  }
+
+  const hiddenPages = [...pages].filter(([, page]) => page.hidden).map(([pageSlug]) => pageSlug).sort();
+
+  const source = [
+    '// Generated by scripts/convert.js from SUMMARY.md - do not edit',
+    `export default ${sidebar ? JSON.stringify(sidebar, null, 2) : 'undefined'};`,
+    '',
+    '// Slugs of hidden pages',
+    `export const hiddenPages = ${JSON.stringify(hiddenPages, null, 2)};`,
+    '',
+  ].join('\n');
+
+  // astro.config.mjs imports this file, so it is only rewritten when it changes
+  // (rewriting it restarts the dev server)
+  if (output.write(outputPath, source) && !output.dryRun) {
+    console.log(`🧭 Sidebar written to ${outputPath}`);
+  }
+}
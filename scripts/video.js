@@ -0,0 +1,128 @@
+/**
+ * Video Links
+ * Recognizes video links in GitBook embeds (YouTube, Vimeo, Loom,
+ * screen.studio and video files) and turns them into the player URL and
+ * poster that src/components/VideoEmbed.astro loads on click
+ */
+
+// Video files browsers play natively
+const VIDEO_FILE_REGEX = /\.(mp4|webm)$/i;
+
+/**
+ * @typedef {object} Video
+ * @property {string} provider - youtube, vimeo, loom, screen-studio or file
+ * @property {string} src - Player URL (or the video file)
+ * @property {string} title - Accessible name of the player
+ * @property {string} [poster] - Thumbnail shown until the player loads
+ */
+
+/**
+ * Parse a video link
+ *
+ * @param {string} url - Embed URL
+ * @returns {Video|null} The video, or null when the URL isn't a video we know
+ */
+export function parseVideoUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  const host = parsed.hostname.replace(/^(www|m)\./, '');
+
+  if (['youtube.com', 'youtu.be', 'youtube-nocookie.com'].includes(host)) return parseYouTube(parsed, host);
+  if (['vimeo.com', 'player.vimeo.com'].includes(host)) return parseVimeo(parsed);
+  if (host === 'loom.com') return parseLoom(parsed);
+  if (host === 'screen.studio') {
+    return { provider: 'screen-studio', src: url, title: 'Screen recording' };
+  }
+  if (VIDEO_FILE_REGEX.test(parsed.pathname)) {
+    return { provider: 'file', src: url, title: 'Video' };
+  }
+
+  return null;
+}
+
+/**
+ * YouTube watch, short, live, embed and playlist links, played from
+ * youtube-nocookie.com (no tracking cookies until the video plays).
+ * Keeps the start/end time and playlist.
+ */
+function parseYouTube(url, host) {
+  const segments = url.pathname.split('/').filter(Boolean);
+  const playlist = url.searchParams.get('list');
+
+  let videoId = null;
+  if (host === 'youtu.be') {
+    videoId = segments[0];
+  } else if (segments[0] === 'watch') {
+    videoId = url.searchParams.get('v');
+  } else if (['embed', 'shorts', 'live', 'v'].includes(segments[0])) {
+    videoId = segments[1];
+  }
+  if (videoId === 'videoseries') videoId = null;
+
+  if (!videoId && !playlist) return null;
+
+  const params = new URLSearchParams();
+  if (playlist) params.set('list', playlist);
+  const start = parseTime(url.searchParams.get('start') ?? url.searchParams.get('t'));
+  if (start) params.set('start', String(start));
+  const end = parseTime(url.searchParams.get('end'));
+  if (end) params.set('end', String(end));
+
+  const query = params.size > 0 ? `?${params}` : '';
+  return {
+    provider: 'youtube',
+    src: `https://www.youtube-nocookie.com/embed/${videoId ?? 'videoseries'}${query}`,
+    title: playlist && !videoId ? 'YouTube playlist' : 'YouTube video',
+    ...(videoId && { poster: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` }),
+  };
+}
+
+/**
+ * Vimeo links: vimeo.com/<id>, vimeo.com/<id>/<hash> (unlisted) and
+ * player.vimeo.com/video/<id>, keeping the #t= start time
+ */
+function parseVimeo(url) {
+  const segments = url.pathname.split('/').filter(Boolean);
+  const index = segments[0] === 'video' ? 1 : 0;
+  const videoId = segments[index];
+  if (!/^\d+$/.test(videoId ?? '')) return null;
+
+  const params = new URLSearchParams();
+  const hash = url.searchParams.get('h') ?? segments[index + 1];
+  if (hash && /^[0-9a-f]+$/i.test(hash)) params.set('h', hash);
+
+  const query = params.size > 0 ? `?${params}` : '';
+  const time = url.hash.match(/^#t=(\w+)$/)?.[0] ?? '';
+  return { provider: 'vimeo', src: `https://player.vimeo.com/video/${videoId}${query}${time}`, title: 'Vimeo video' };
+}
+
+/**
+ * Loom share and embed links, keeping the t= start time
+ */
+function parseLoom(url) {
+  const [kind, videoId] = url.pathname.split('/').filter(Boolean);
+  if (!['share', 'embed'].includes(kind) || !videoId) return null;
+
+  const start = url.searchParams.get('t');
+  const query = start ? `?t=${encodeURIComponent(start)}` : '';
+  return { provider: 'loom', src: `https://www.loom.com/embed/${videoId}${query}`, title: 'Loom video' };
+}
+
+/**
+ * Seconds from a YouTube time: "90", "90s", "1m30s", "1h2m3s"
+ */
+function parseTime(value) {
+  if (!value) return 0;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match) return 0;
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
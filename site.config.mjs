@@ -0,0 +1,20 @@
+/**
+ * Site URL and base path, shared by astro.config.mjs and the converter
+ *
+ * Converted pages link with root-relative URLs (/documentation/...), and the
+ * base path is added at build time, so changing it needs no re-conversion.
+ * Override with environment variables to deploy a preview under another path
+ * or on a custom domain at the root:
+ *
+ *   SITE_URL=https://docs.example.com BASE_PATH=/ npm run build
+ */
+
+export const SITE_URL = process.env.SITE_URL || 'https://vibe-and-pray.github.io';
+
+/** Base path without trailing slash; '' when the site is served from the domain root */
+export const BASE_PATH = normalizeBase(process.env.BASE_PATH ?? '/vectary-docs-site');
+
+function normalizeBase(base) {
+  const trimmed = base.trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
@@ -1,7 +1,24 @@
-import { defineCollection } from 'astro:content';
+import { defineCollection, z } from 'astro:content';
 import { docsLoader } from '@astrojs/starlight/loaders';
 import { docsSchema } from '@astrojs/starlight/schema';
 
+// GitBook frontmatter Starlight has no field for, kept by the converter
+// (see processFrontmatter in scripts/converter.js). The cover is a
+// root-relative URL, without the site base path. The icon is GitBook's
+// name; the Starlight icon it maps to is in sidebar.attrs['data-icon'].
+const gitbookSchema = z
+  .object({
+    icon: z.string().optional(),
+    cover: z.string().optional(),
+    coverY: z.number().optional(),
+    // Options (see src/components/PageTitle.astro) or a preset name in older spaces
+    layout: z.union([z.string(), z.record(z.string(), z.any())]).optional(),
+  })
+  .passthrough();
+
 export const collections = {
-  docs: defineCollection({ loader: docsLoader(), schema: docsSchema() }),
+  docs: defineCollection({
+    loader: docsLoader(),
+    schema: docsSchema({ extend: z.object({ gitbook: gitbookSchema.optional() }) }),
+  }),
 };
@@ -0,0 +1,49 @@
+import { visit } from 'unist-util-visit';
+
+/**
+ * Rehype plugin: prefix root-relative URLs in content with the site base path
+ *
+ * Converted pages link to /documentation/... and /assets/gitbook/... without
+ * the base, so the same content works under any `base`. This covers markdown
+ * links and images, HTML/JSX attributes (href, src, poster) and url(...) in
+ * inline style strings.
+ *
+ * @param {{ base: string }} options - Base path without trailing slash ('' for the domain root)
+ */
+export default function rehypeBasePath({ base }) {
+  const withBase = (url) => {
+    if (!base || !url.startsWith('/') || url.startsWith('//')) return url;
+    if (url === base || url.startsWith(`${base}/`) || url.startsWith(`${base}#`)) return url;
+    return url === '/' ? base : base + url;
+  };
+
+  const rewrite = (name, value) => {
+    if (typeof value !== 'string') return value;
+    if (name === 'style') {
+      return value.replace(/url\((['"]?)(\/[^'")]*)\1\)/g, (match, quote, url) => `url(${quote}${withBase(url)}${quote})`);
+    }
+    return ['href', 'src', 'poster'].includes(name) ? withBase(value) : value;
+  };
+
+  return (tree) => {
+    visit(tree, (node) => {
+      // Plain HTML elements (from markdown)
+      if (node.type === 'element') {
+        for (const name of ['href', 'src', 'poster', 'style']) {
+          if (name in node.properties) {
+            node.properties[name] = rewrite(name, node.properties[name]);
+          }
+        }
+      }
+
+      // JSX elements and components in MDX
+      if (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') {
+        for (const attribute of node.attributes) {
+          if (attribute.type === 'mdxJsxAttribute') {
+            attribute.value = rewrite(attribute.name, attribute.value);
+          }
+        }
+      }
+    });
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * Golden-fixture tests for the GitBook converter
+ *
+ * Every tests/fixtures/<name>.md is converted as if it were
+ * documentation/guide/<name>.md and compared with <name>.mdx next to it.
+ * Fixtures that must be rejected keep the expected error in <name>.error.txt.
+ * Every expected .mdx is also compiled with the MDX compiler, and its frontmatter
+ * parsed as YAML, so we know it parses.
+ *
+ * Usage: npm test
+ *        npm run test:update   (rewrite the expected files from the current output)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { convertFile, GitBookSyntaxError, scanPage } from '../scripts/converter.js';
+import { checkMdx } from '../scripts/mdx-check.js';
+import { findLeftovers } from '../scripts/leftovers.js';
+import { checkLinks } from '../scripts/links.js';
+import { createGitHubFileReader } from '../scripts/github-files.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter((name) => name.endsWith('.md'))
+  .map((name) => name.slice(0, -'.md'.length))
+  .sort();
+
+/**
+ * Convert a fixture, returning the page content or the syntax error message
+ */
+function convertFixture(name) {
+  const input = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf-8');
+
+  try {
+    return { content: convertFile(input, `documentation/guide/${name}.md`).content };
+  } catch (error) {
+    if (!(error instanceof GitBookSyntaxError)) throw error;
+    return { error: `${error.message}\n` };
+  }
+}
+
+/**
+ * Compare with (or, when updating, write) the expected file
+ */
+function assertGolden(actual, expectedPath) {
+  if (UPDATE) {
+    fs.writeFileSync(expectedPath, actual);
+    return;
+  }
+
+  assert.ok(fs.existsSync(expectedPath), `missing ${path.basename(expectedPath)}, run \`npm run test:update\``);
+  assert.equal(actual, fs.readFileSync(expectedPath, 'utf-8'));
+}
+
+for (const name of fixtures) {
+  test(name, async () => {
+    const { content, error } = convertFixture(name);
+    const mdxPath = path.join(FIXTURES_DIR, `${name}.mdx`);
+    const errorPath = path.join(FIXTURES_DIR, `${name}.error.txt`);
+
+    if (error !== undefined) {
+      if (UPDATE) fs.rmSync(mdxPath, { force: true });
+      assertGolden(error, errorPath);
+      return;
+    }
+
+    if (UPDATE) fs.rmSync(errorPath, { force: true });
+    assertGolden(content, mdxPath);
+
+    // checkMdx leaves the frontmatter to Astro
+    const frontmatter = content.match(/^---\n([\s\S]*?)\n---\n/);
+    assert.ok(frontmatter, 'page has no frontmatter');
+    assert.equal(typeof yaml.load(frontmatter[1]).title, 'string');
+    assert.equal(await checkMdx(content), null);
+  });
+}
+
+test('MDX errors map back to the GitBook source line', async () => {
+  const input = '---\ndescription: x\n---\n\n# Page\n\n{% hint style="info" %}\nUse {curly braces}.\n{% endhint %}\n';
+  const { content, lineMap } = convertFile(input, 'documentation/guide/page.md');
+  const failure = await checkMdx(content);
+
+  assert.ok(failure);
+  assert.equal(lineMap[failure.line - 1], 8);
+});
+
+test('unconverted GitBook syntax is found outside code', () => {
+  const input = [
+    '# Page', '', '{% columns %}', 'Text&#x20;here', '{% endcolumns %}', '',
+    '<table data-view="list"><tr><td>a</td></tr></table>', '',
+    '```md', '{% hint %}', '```', '', 'Inline `{% tabs %}` &amp; &nbsp;', '',
+  ].join('\n');
+  const { content, lineMap } = convertFile(input, 'documentation/guide/page.md');
+  const leftovers = findLeftovers(content).map(({ construct, line }) => [construct, lineMap[line - 1]]);
+
+  assert.deepEqual(leftovers, [['{% columns %}', 3], ['<table data-view="list">', 7], ['&nbsp;', 13]]);
+});
+
+test('code right after a component tag is not reported as unconverted', () => {
+  const input = [
+    '# Page', '', '{% tabs %}', '{% tab title="HTML" %}', '```html',
+    '<div data-vectary-id="abc">&nbsp;</div>', '```', '{% endtab %}', '{% endtabs %}', '',
+    '{% hint style="info" %}', 'Wrap code in `{% code %}`.', '{% endhint %}', '',
+  ].join('\n');
+  const { content } = convertFile(input, 'documentation/guide/page.md');
+
+  assert.match(content, /<TabItem label="HTML">\n```html/);
+  assert.deepEqual(findLeftovers(content), []);
+});
+
+test('custom converters run before or after the built-in ones', () => {
+  const input = '# Page\n\n{% badge text="New" %}\n\n{% hint style="info" %}\nText\n{% endhint %}\n\n{% embed url="x" %}\n\n{% embed %}\n';
+  const converters = [
+    {
+      tag: 'badge',
+      convert: (node, ctx) => {
+        ctx.imports.add("import { Badge } from '@astrojs/starlight/components';");
+        return `<Badge text="${node.attributes.text}" />`;
+      },
+    },
+    // Before the built-in hint converter, but leaving other styles to it
+    { tag: 'hint', convert: (node) => (node.attributes.style === 'info' ? 'INFO' : undefined) },
+    // After the built-in embed converter, which leaves embeds without a URL alone
+    { tag: 'embed', convert: () => 'NO EMBED', position: 'after' },
+  ];
+  const { content } = convertFile(input, 'documentation/guide/page.md', { converters });
+
+  assert.match(content, /^import \{ Badge \} from '@astrojs\/starlight\/components';$/m);
+  assert.match(content, /<Badge text="New" \/>\n\nINFO\n\n<iframe[\s\S]*<\/iframe>\n\nNO EMBED\n$/);
+});
+
+test('page icons are mapped to Starlight icons, with a warning for unknown ones', () => {
+  const known = convertFile('---\nicon: book-open\n---\n\n# Page\n', 'documentation/guide/README.md');
+  assert.match(known.content, /^sidebar:\n {2}label: Overview\n {2}attrs:\n {4}data-icon: open-book$/m);
+  assert.deepEqual(known.warnings, []);
+
+  const unknown = convertFile('---\ndescription: x\nicon: eye-slash\n---\n\n# Page\n', 'documentation/guide/page.md');
+  assert.doesNotMatch(unknown.content, /data-icon/);
+  assert.match(unknown.content, /^gitbook:\n {2}icon: eye-slash$/m);
+  assert.deepEqual(unknown.warnings.map(({ line }) => line), [3]);
+});
+
+test('links to tabs go to the heading they are under, skipping hint titles', () => {
+  const source = [
+    '# Page', '',
+    '## Project tips', '',
+    '{% tabs %}', '{% tab title="Green dot" %}', 'Dot.', '{% endtab %}', '{% endtabs %}', '',
+    '[see](#green-dot) or <a href="#green-dot">here</a>', '',
+    '## Setup', '',
+    '{% hint style="info" %}', '#### Hint title', 'Careful.', '{% endhint %}', '',
+    '{% tabs %}', '{% tab title="After hint" %}', 'Done.', '{% endtab %}', '{% endtabs %}', '',
+    '## Hint title', '',
+  ].join('\n');
+  const anchorMaps = new Map([['documentation/guide/page', scanPage(source, 'documentation/guide/page.md').anchorMap]]);
+  const page = convertFile(source, 'documentation/guide/page.md', { anchorMaps });
+  const other = convertFile('# Other\n\n[after](page.md#after-hint)\n', 'documentation/guide/other.md', { anchorMaps });
+
+  assert.match(page.content, /\[see\]\(#project-tips\) or \[here\]\(#project-tips\)/);
+  assert.match(other.content, /\[after\]\(\/documentation\/guide\/page#setup\)/);
+  // The hint title isn't a heading, so the real one keeps its plain anchor
+  assert.deepEqual([...page.anchors], ['project-tips', 'setup', 'hint-title']);
+
+  const pages = new Map([
+    ['documentation/guide/page', { sourcePath: 'documentation/guide/page.md', ...page }],
+    ['documentation/guide/other', { sourcePath: 'documentation/guide/other.md', ...other }],
+  ]);
+  assert.deepEqual(checkLinks(pages, path.join(FIXTURES_DIR, 'missing')), []);
+});
+
+test('hidden pages are built unlisted and links to them resolve', () => {
+  const hidden = convertFile('---\nhidden: true\n---\n\n# Secret\n\n## Setup\n', 'documentation/guide/secret.md');
+  const page = convertFile('# Page\n\n[Secret](secret.md#setup)\n', 'documentation/guide/page.md');
+
+  assert.ok(hidden.hidden);
+  assert.doesNotMatch(hidden.content, /^draft:/m);
+  assert.match(hidden.content, /^pagefind: false$/m);
+  assert.match(hidden.content, /^sidebar:\n {2}hidden: true$/m);
+
+  const pages = new Map([
+    ['documentation/guide/secret', { sourcePath: 'documentation/guide/secret.md', ...hidden }],
+    ['documentation/guide/page', { sourcePath: 'documentation/guide/page.md', ...page }],
+  ]);
+  assert.deepEqual(checkLinks(pages, path.join(FIXTURES_DIR, 'missing')), []);
+});
+
+test('links with a literal % are checked without throwing', () => {
+  const page = convertFile('# Page\n\n[Sale](<50%-off.md>) and [here](#50%-off)\n', 'documentation/guide/page.md');
+  const pages = new Map([['documentation/guide/page', { sourcePath: 'documentation/guide/page.md', ...page }]]);
+
+  assert.deepEqual(checkLinks(pages, path.join(FIXTURES_DIR, 'missing')).map(({ line, reason }) => [line, reason]), [
+    [3, 'page not found'],
+    [3, 'anchor not found on /documentation/guide/page'],
+  ]);
+});
+
+test('GitHub code block embeds are read from a local copy, never fetched', () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-files-'));
+  const filePath = path.join(cacheDir, 'vectary', 'viewer-api', 'v2', 'docs', 'usage.md');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '# Usage\n\n```js\nviewer.load();\n```\n');
+
+  const readGitHubFile = createGitHubFileReader({ cacheDir });
+  const input = '# Page\n\n{% @github-files/github-code-block url="https://github.com/vectary/viewer-api/blob/v2/docs/usage.md#L3-L5" %}\n';
+  const { content, warnings } = convertFile(input, 'documentation/guide/page.md', { readGitHubFile });
+  fs.rmSync(cacheDir, { recursive: true });
+
+  assert.match(content, /\n````md title="docs\/usage.md"\n```js\nviewer.load\(\);\n```\n````\n$/);
+  assert.deepEqual(warnings, []);
+
+  // Other refs aren't in the cache, and there is no checkout
+  const missing = convertFile(input.replace('/v2/', '/main/'), 'documentation/guide/page.md', { readGitHubFile });
+  assert.match(missing.content, /<LinkCard title="docs\/usage.md" /);
+  assert.deepEqual(missing.warnings.map(({ line }) => line), [3]);
+});
+
+test('integration embeds with malformed URLs don\'t stop the conversion', () => {
+  const input = [
+    '# Page', '',
+    '{% @storylane/embed url="https://" %}', '',
+    '{% @github-files/github-code-block url="https://github.com/vectary/viewer-api/blob/v2/%zz.js" %}', '',
+  ].join('\n');
+  const { content } = convertFile(input, 'documentation/guide/page.md');
+
+  // No host to show, so the tag stays for the leftover report
+  assert.ok(content.includes('{% @storylane/embed url="https://" %}'));
+  assert.deepEqual(findLeftovers(content).map(({ construct }) => construct), ['{% @storylane/embed %}']);
+  // The path can't be decoded, so the file is linked like any other GitHub page
+  assert.match(content, /<LinkCard title="Github Files" href="https:\/\/github.com\/vectary\/viewer-api\/blob\/v2\/%zz.js" /);
+});